@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'issuer'];
+
+const API_KEY_PREFIX = 'fck_';
+const SESSION_PREFIX = 'fcs_';
+
+// The ADMIN_API_KEY from the environment acts as this built-in account
+const ENV_ADMIN = { id: 'env-admin', name: 'Administrator', role: 'admin', active: true };
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const expected = Buffer.from(a);
+  const provided = Buffer.from(b);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+  const [, salt, hash] = stored.split('$');
+  return safeEqual(hash, crypto.scryptSync(password, salt, 64).toString('hex'));
+}
+
+// Accounts allowed to issue certificates (role issuer) or administer the
+// service (role admin). Each account has an API key for scripts and may have
+// a username/password for signing in to the web UI. Only hashes of keys and
+// passwords are stored; sessions live in memory and end on restart.
+class AccountStore {
+  constructor() {
+    this.filePath = null;
+    this.adminApiKey = '';
+    this.sessionTtl = 8 * 60 * 60 * 1000;
+    this.accounts = new Map();
+    this.sessions = new Map();
+  }
+
+  initialize(options = {}) {
+    try {
+      this.filePath = options.filePath || path.join(__dirname, 'data', 'accounts.json');
+      this.adminApiKey = options.adminApiKey || '';
+      this.sessionTtl = options.sessionTtl || this.sessionTtl;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.accounts = new Map(data.accounts.map(account => [account.id, account]));
+      }
+
+      console.log(`Account store loaded (${this.accounts.size} accounts)`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load account store:", error);
+      return false;
+    }
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = { accounts: Array.from(this.accounts.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Account without its secrets, safe to return from the API
+  toPublic(account) {
+    const { apiKeyHash, passwordHash, ...rest } = account;
+    return { ...rest, hasPassword: Boolean(passwordHash) };
+  }
+
+  list() {
+    return Array.from(this.accounts.values()).map(account => this.toPublic(account));
+  }
+
+  get(id) {
+    return this.accounts.get(id) || null;
+  }
+
+  hasAdmin() {
+    return Boolean(this.adminApiKey) ||
+      Array.from(this.accounts.values()).some(account => account.role === 'admin' && account.active);
+  }
+
+  // Returns { account, apiKey } or { error }. The API key is only shown here.
+  create({ name, role = 'issuer', username, password }) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Account name is required' };
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    if (username && typeof username !== 'string') return { error: 'Username must be a string' };
+    if (password && typeof password !== 'string') return { error: 'Password must be a string' };
+    if (username && !password) return { error: 'A password is required with a username' };
+    if (password && password.length < 10) return { error: 'Password must be at least 10 characters' };
+
+    if (username && Array.from(this.accounts.values()).some(account => account.username === username)) {
+      return { error: 'Username already taken' };
+    }
+
+    const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const now = new Date().toISOString();
+    const account = {
+      id: 'acc_' + crypto.randomBytes(6).toString('hex'),
+      name: name.trim(),
+      role,
+      username: username || null,
+      passwordHash: password ? hashPassword(password) : null,
+      apiKeyHash: sha256(apiKey),
+      apiKeyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6),
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.accounts.set(account.id, account);
+    this.save();
+
+    return { account: this.toPublic(account), apiKey };
+  }
+
+  // Replace an account's API key; the old one stops working immediately
+  rotateApiKey(id) {
+    const account = this.accounts.get(id);
+    if (!account) return null;
+
+    const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    account.apiKeyHash = sha256(apiKey);
+    account.apiKeyPrefix = apiKey.substring(0, API_KEY_PREFIX.length + 6);
+    account.updatedAt = new Date().toISOString();
+    this.save();
+
+    return apiKey;
+  }
+
+  deactivate(id) {
+    const account = this.accounts.get(id);
+    if (!account) return null;
+
+    account.active = false;
+    account.updatedAt = new Date().toISOString();
+    this.save();
+
+    for (const [token, session] of this.sessions) {
+      if (session.accountId === id) this.sessions.delete(token);
+    }
+
+    return this.toPublic(account);
+  }
+
+  // Returns { token, expiresAt, account } or null for bad credentials
+  login(username, password) {
+    const account = Array.from(this.accounts.values())
+      .find(candidate => candidate.username === username && candidate.active);
+
+    if (!account || !account.passwordHash || !checkPassword(password || '', account.passwordHash)) {
+      return null;
+    }
+
+    const token = SESSION_PREFIX + crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.sessionTtl;
+    this.sessions.set(sha256(token), { accountId: account.id, expiresAt });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString(), account: this.toPublic(account) };
+  }
+
+  logout(token) {
+    return this.sessions.delete(sha256(token));
+  }
+
+  // Resolve a bearer token (admin key, session token or API key) to an active account
+  authenticate(token) {
+    if (!token) return null;
+
+    if (this.adminApiKey && safeEqual(this.adminApiKey, token)) {
+      return ENV_ADMIN;
+    }
+
+    let accountId = null;
+
+    if (token.startsWith(SESSION_PREFIX)) {
+      const session = this.sessions.get(sha256(token));
+      if (session && session.expiresAt > Date.now()) {
+        accountId = session.accountId;
+      } else if (session) {
+        this.sessions.delete(sha256(token));
+      }
+    } else if (token.startsWith(API_KEY_PREFIX)) {
+      const hash = sha256(token);
+      const account = Array.from(this.accounts.values()).find(candidate => safeEqual(candidate.apiKeyHash, hash));
+      accountId = account ? account.id : null;
+    }
+
+    const account = accountId ? this.accounts.get(accountId) : null;
+    return account && account.active ? account : null;
+  }
+}
+
+module.exports = new AccountStore();
+module.exports.ROLES = ROLES;
@@ -1,62 +1,282 @@
 const { ethers } = require("ethers");
 const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const TransactionManager = require('./transactions');
+
+// Mirrors the RevocationReason enum in DocumentVerification.sol (index = on-chain code)
+const REVOCATION_REASONS = ['NONE', 'ISSUED_IN_ERROR', 'INVALIDATED', 'FRAUDULENT', 'OTHER'];
+
+// Mirrors the ValidityStatus enum in DocumentVerification.sol
+const VALIDITY_STATUSES = ['VALID', 'NOT_YET_VALID', 'EXPIRED'];
+
+// The contract keys certificates by keccak256 of their number and stores
+// hashes as bytes32. The rest of the backend keeps certificate numbers and
+// SHA-256 hashes as hex strings (no 0x prefix, '' for none); these convert
+// between the two.
+function toCertificateId(certificateNumber) {
+  return ethers.id(certificateNumber);
+}
+
+function toBytes32Hash(hash) {
+  if (!hash) return ethers.ZeroHash;
+
+  const hex = String(hash).replace(/^0x/i, '');
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`Not a SHA-256 hash: ${hash}`);
+  }
+  return `0x${hex.toLowerCase()}`;
+}
+
+function fromBytes32Hash(value) {
+  return value === ethers.ZeroHash ? '' : value.substring(2);
+}
+
+// A hash to check against the contract: anything that isn't a SHA-256 hex
+// string can't match, so it is checked as the zero hash
+function toLookupHash(hash) {
+  try {
+    return toBytes32Hash(hash);
+  } catch (error) {
+    return ethers.ZeroHash;
+  }
+}
+
+// The contract's (revoked, reason, revokedAt) tuple as a service result
+function formatRevocation([revoked, reasonCode, revokedAt]) {
+  return {
+    success: true,
+    revoked: revoked,
+    reasonCode: Number(reasonCode),
+    reason: REVOCATION_REASONS[Number(reasonCode)],
+    revokedAt: Number(revokedAt)
+  };
+}
+
+// Compiled contract (ABI and bytecode) from the Hardhat artifacts
+function loadArtifact() {
+  const artifactPath = path.join(__dirname, 'artifacts/contracts/DocumentVerification.sol/DocumentVerification.json');
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error('Contract artifacts not found - run `npm run compile` first');
+  }
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+function loadAbi() {
+  return loadArtifact().abi;
+}
 
 class BlockchainService {
   constructor() {
     this.provider = null;
     this.signer = null;
     this.contract = null;
+    this.chainId = null;
+    this.deploymentBlock = undefined;
+    this.transactions = new TransactionManager();
   }
 
-  async initialize() {
+  // options.transactions overrides the transaction manager settings (e.g. a
+  // separate store file for the admin CLI)
+  async initialize(options = {}) {
     try {
-      // Connect to local Hardhat node
-      this.provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-      
-      // Get signer (first account from Hardhat node)
-      this.signer = await this.provider.getSigner();
-      
-      // Read contract address
-      const contractAddress = fs.readFileSync('contract-address.txt', 'utf8').trim();
-      
-      // Read ABI from artifacts
-      const artifactPath = './artifacts/contracts/DocumentVerification.sol/DocumentVerification.json';
-      const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-      
+      await this.connectSigner();
+
+      const { address: contractAddress, source, deploymentBlock } = config.resolveContractAddress();
+      if (!contractAddress) {
+        throw new Error('No contract address configured (set CONTRACT_ADDRESS or run npm run deploy)');
+      }
+
+      const code = await this.provider.getCode(contractAddress);
+      if (code === '0x') {
+        throw new Error(`No contract deployed at ${contractAddress} (from ${source}) on chain ${this.chainId}`);
+      }
+
+      this.deploymentBlock = deploymentBlock;
+
       // Create contract instance
       this.contract = new ethers.Contract(
         contractAddress,
-        artifact.abi,
+        loadAbi(),
         this.signer
       );
+
+      await this.transactions.initialize(this.contract, this.signer, { ...config.transactions, ...options.transactions });
       
-      console.log("Blockchain service initialized successfully");
+      console.log(`Blockchain service initialized (chain ${this.chainId}, contract ${contractAddress}, signer ${await this.signer.getAddress()})`);
       return true;
     } catch (error) {
-      console.error("Failed to initialize blockchain service:", error);
+      console.error("Failed to initialize blockchain service:", error.message);
       return false;
     }
   }
 
-  async registerDocument(certificateNumber, documentHash) {
+  // Provider and signer for the configured RPC_URL
+  async connectSigner() {
+    this.provider = new ethers.JsonRpcProvider(config.rpcUrl);
+
+    // Refuse to run against a different chain than the one configured
+    const network = await this.provider.getNetwork();
+    this.chainId = Number(network.chainId);
+    if (config.chainId && config.chainId !== this.chainId) {
+      throw new Error(`RPC_URL is on chain ${this.chainId}, expected CHAIN_ID ${config.chainId}`);
+    }
+
+    this.signer = await this.loadSigner();
+  }
+
+  // Deploy a new contract with the configured signer, which becomes its owner
+  // and first issuer. Returns the deployment details for the manifest.
+  async deployContract(issuerName) {
     try {
-      const tx = await this.contract.registerDocument(certificateNumber, documentHash);
-      const receipt = await tx.wait();
-      console.log("Document registered on blockchain:", receipt.hash);
-      return { success: true, txHash: receipt.hash };
+      await this.connectSigner();
+
+      const artifact = loadArtifact();
+      const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, this.signer);
+      const contract = await factory.deploy(issuerName);
+      const receipt = await contract.deploymentTransaction().wait();
+      const address = await contract.getAddress();
+
+      console.log("DocumentVerification deployed to:", address);
+      return {
+        success: true,
+        chainId: this.chainId,
+        address,
+        deployer: await this.signer.getAddress(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
     } catch (error) {
-      console.error("Error registering document:", error);
+      console.error("Error deploying contract:", error.message);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
+  // Read-only connection to any RPC endpoint, for verifying without a signer
+  // (scripts/verify.js). Only the view methods below can be used.
+  async connect(rpcUrl, contractAddress) {
+    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    this.chainId = Number((await this.provider.getNetwork()).chainId);
+
+    const code = await this.provider.getCode(contractAddress);
+    if (code === '0x') {
+      throw new Error(`No contract deployed at ${contractAddress} on chain ${this.chainId}`);
+    }
+
+    this.contract = new ethers.Contract(contractAddress, loadAbi(), this.provider);
+  }
+
+  // PRIVATE_KEY or an encrypted JSON keystore; without either, fall back to the
+  // node's first unlocked account (only a local development node has one)
+  async loadSigner() {
+    if (config.privateKey) {
+      return new ethers.Wallet(config.privateKey, this.provider);
+    }
+
+    if (config.keystorePath) {
+      const json = fs.readFileSync(config.keystorePath, 'utf8');
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, config.keystorePassword);
+      return wallet.connect(this.provider);
+    }
+
+    return this.provider.getSigner();
+  }
+
+  // validity: { validFrom, validUntil } in unix seconds, 0 or omitted for an open window.
+  // With options.wait === false this returns as soon as the transaction is sent;
+  // options.meta is kept with the transaction record for its confirmed/failed events.
+  // options.amends registers the document as a new version of that certificate.
+  async registerDocument(certificateNumber, documentHash, certifiedHash, validity = {}, options = {}) {
+    try {
+      const method = options.amends ? 'amendDocument' : 'registerDocument';
+      const args = [
+        ...(options.amends ? [options.amends] : []),
+        certificateNumber,
+        toBytes32Hash(documentHash),
+        toBytes32Hash(certifiedHash),
+        validity.validFrom || 0,
+        validity.validUntil || 0
+      ];
+
+      if (options.wait === false) {
+        const pending = await this.transactions.submit(method, args, options.meta);
+        return { success: true, pending: true, transactionId: pending.id, txHash: pending.txHash };
+      }
+
+      const receipt = await this.transactions.send(method, args, options.meta);
+      console.log("Document registered on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      console.error("Error registering document:", error.message);
       return { success: false, error: error.message };
     }
   }
 
+  // Anchor the Merkle root of a batch of certificates in a single transaction
+  async anchorBatch(root, size) {
+    try {
+      const receipt = await this.transactions.send('anchorBatch', [root, size]);
+      console.log("Batch anchored on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      console.error("Error anchoring batch:", error);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
+  async revokeDocument(certificateNumber, reason) {
+    try {
+      const reasonCode = typeof reason === 'number' ? reason : REVOCATION_REASONS.indexOf(reason);
+      if (reasonCode <= 0 || reasonCode >= REVOCATION_REASONS.length) {
+        return { success: false, error: `Invalid revocation reason: ${reason}` };
+      }
+
+      const receipt = await this.transactions.send('revokeDocument', [certificateNumber, reasonCode]);
+      console.log("Document revoked on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      console.error("Error revoking document:", error);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
+  // Revoke a Merkle batch certificate, proven by its leaf and inclusion proof
+  async revokeBatchDocument(root, proof, certificateNumber, documentHash, certifiedHash, validFrom, validUntil, reason) {
+    try {
+      const reasonCode = typeof reason === 'number' ? reason : REVOCATION_REASONS.indexOf(reason);
+      if (reasonCode <= 0 || reasonCode >= REVOCATION_REASONS.length) {
+        return { success: false, error: `Invalid revocation reason: ${reason}` };
+      }
+
+      const receipt = await this.transactions.send('revokeBatchDocument', [
+        root,
+        proof,
+        certificateNumber,
+        toBytes32Hash(documentHash),
+        toBytes32Hash(certifiedHash),
+        validFrom || 0,
+        validUntil || 0,
+        reasonCode
+      ]);
+      console.log("Batch document revoked on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      console.error("Error revoking batch document:", error);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
   async verifyDocument(certificateNumber, documentHash) {
     try {
-      const [isValid, timestamp] = await this.contract.verifyDocument(certificateNumber, documentHash);
+      const [isValid, timestamp, validityStatus] = await this.contract.verifyDocument(
+        toCertificateId(certificateNumber),
+        toLookupHash(documentHash)
+      );
       return {
         success: true,
         isValid: isValid,
-        timestamp: Number(timestamp)
+        timestamp: Number(timestamp),
+        validityStatus: VALIDITY_STATUSES[Number(validityStatus)]
       };
     } catch (error) {
       console.error("Error verifying document:", error);
@@ -64,13 +284,33 @@ class BlockchainService {
     }
   }
 
+  async verifyCertifiedDocument(certificateNumber, certifiedHash) {
+    try {
+      const [isValid, timestamp] = await this.contract.verifyCertifiedDocument(
+        toCertificateId(certificateNumber),
+        toLookupHash(certifiedHash)
+      );
+      return {
+        success: true,
+        isValid: isValid,
+        timestamp: Number(timestamp)
+      };
+    } catch (error) {
+      console.error("Error verifying certified document:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getDocument(certificateNumber) {
     try {
-      const [certNum, hash, timestamp, exists] = await this.contract.getDocument(certificateNumber);
+      const [hash, certifiedHash, issuer, issuerName, timestamp, exists] = await this.contract.getDocument(toCertificateId(certificateNumber));
       return {
         success: true,
-        certificateNumber: certNum,
-        documentHash: hash,
+        certificateNumber: exists ? certificateNumber : '',
+        documentHash: fromBytes32Hash(hash),
+        certifiedHash: fromBytes32Hash(certifiedHash),
+        issuer: issuer,
+        issuerName: issuerName,
         timestamp: Number(timestamp),
         exists: exists
       };
@@ -79,6 +319,160 @@ class BlockchainService {
       return { success: false, error: error.message };
     }
   }
+
+  // Previous and next version of an amended certificate (null when there is none)
+  async getVersionLinks(certificateNumber) {
+    try {
+      const [previousVersion, supersededBy] = await this.contract.getVersionLinks(toCertificateId(certificateNumber));
+      return {
+        success: true,
+        previousVersion: previousVersion || null,
+        supersededBy: supersededBy || null
+      };
+    } catch (error) {
+      console.error("Error getting version links:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async verifyBatchDocument(root, proof, certificateNumber, documentHash, certifiedHash, validFrom = 0, validUntil = 0) {
+    try {
+      const [isValid, timestamp, validityStatus] = await this.contract.verifyBatchDocument(
+        root,
+        proof,
+        toCertificateId(certificateNumber),
+        toLookupHash(documentHash),
+        toLookupHash(certifiedHash),
+        validFrom,
+        validUntil
+      );
+      return {
+        success: true,
+        isValid: isValid,
+        timestamp: Number(timestamp),
+        validityStatus: VALIDITY_STATUSES[Number(validityStatus)]
+      };
+    } catch (error) {
+      console.error("Error verifying batch document:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getBatch(root) {
+    try {
+      const [issuer, issuerName, size, timestamp, exists] = await this.contract.getBatch(root);
+      return {
+        success: true,
+        root: root,
+        issuer: issuer,
+        issuerName: issuerName,
+        size: Number(size),
+        timestamp: Number(timestamp),
+        exists: exists
+      };
+    } catch (error) {
+      console.error("Error getting batch:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getValidity(certificateNumber) {
+    try {
+      const [validFrom, validUntil, status] = await this.contract.getValidity(toCertificateId(certificateNumber));
+      return {
+        success: true,
+        validFrom: Number(validFrom),
+        validUntil: Number(validUntil),
+        status: VALIDITY_STATUSES[Number(status)]
+      };
+    } catch (error) {
+      console.error("Error getting validity:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getIssuer(address) {
+    try {
+      const [name, active] = await this.contract.getIssuer(address);
+      return {
+        success: true,
+        address: address,
+        name: name,
+        active: active
+      };
+    } catch (error) {
+      console.error("Error getting issuer:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Issuer record for the address this server signs with
+  async getSignerIssuer() {
+    const address = await this.signer.getAddress();
+    return this.getIssuer(address);
+  }
+
+  async getIssuers() {
+    try {
+      const addresses = await this.contract.getIssuers();
+      const issuers = [];
+      for (const address of addresses) {
+        const [name, active] = await this.contract.getIssuer(address);
+        issuers.push({ address, name, active });
+      }
+      return { success: true, issuers };
+    } catch (error) {
+      console.error("Error listing issuers:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async addIssuer(address, name) {
+    try {
+      const receipt = await this.transactions.send('addIssuer', [address, name]);
+      console.log("Issuer added on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash };
+    } catch (error) {
+      console.error("Error adding issuer:", error);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
+  async removeIssuer(address) {
+    try {
+      const receipt = await this.transactions.send('removeIssuer', [address]);
+      console.log("Issuer removed on blockchain:", receipt.txHash);
+      return { success: true, txHash: receipt.txHash };
+    } catch (error) {
+      console.error("Error removing issuer:", error);
+      return { success: false, error: error.reason || error.message };
+    }
+  }
+
+  async getRevocation(certificateNumber) {
+    try {
+      return formatRevocation(await this.contract.getRevocation(toCertificateId(certificateNumber)));
+    } catch (error) {
+      console.error("Error getting revocation:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revocation of a Merkle batch certificate, which only applies within its batch
+  async getBatchRevocation(root, certificateNumber) {
+    try {
+      return formatRevocation(await this.contract.getBatchRevocation(root, toCertificateId(certificateNumber)));
+    } catch (error) {
+      console.error("Error getting batch revocation:", error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
-module.exports = new BlockchainService();
\ No newline at end of file
+module.exports = new BlockchainService();
+module.exports.REVOCATION_REASONS = REVOCATION_REASONS;
+module.exports.VALIDITY_STATUSES = VALIDITY_STATUSES;
+module.exports.loadAbi = loadAbi;
+module.exports.toCertificateId = toCertificateId;
+module.exports.toBytes32Hash = toBytes32Hash;
+module.exports.fromBytes32Hash = fromBytes32Hash;
\ No newline at end of file
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { ethers } = require("ethers");
+const merkle = require('./merkle');
+const proofs = require('./proofs');
+const documents = require('./documents');
+const commitments = require('./commitments');
+const { fromBytes32Hash } = require('./blockchain');
+
+// Verification bundle: a ZIP with everything needed to check a certificate
+// without the issuer's server or a trusted RPC endpoint.
+//
+//   certificate-receipt.json  certificate data and where it was anchored
+//   document/<name>           the certified document
+//   chain/receipt.json        receipt of the registration transaction
+//   chain/block-receipts.json every receipt of its block (rebuilds receiptsRoot)
+//   chain/block-header.json   the block header (rebuilds the block hash)
+const BUNDLE_TYPE = 'CertificateVerificationBundle';
+const BUNDLE_VERSION = 1;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Receipt of a transaction with every receipt of its block and the block header
+async function fetchInclusionProof(provider, txHash) {
+  const receipt = await provider.send('eth_getTransactionReceipt', [txHash]);
+  if (!receipt) throw new Error(`Transaction ${txHash} not found`);
+
+  const block = await provider.send('eth_getBlockByHash', [receipt.blockHash, false]);
+  if (!block) throw new Error(`Block ${receipt.blockHash} not found`);
+
+  let receipts;
+  try {
+    receipts = await provider.send('eth_getBlockReceipts', [receipt.blockHash]);
+  } catch (error) {
+    // Not every node has eth_getBlockReceipts - fetch them one by one
+    receipts = [];
+    for (const hash of block.transactions) {
+      receipts.push(await provider.send('eth_getTransactionReceipt', [hash]));
+    }
+  }
+
+  return { receipt, header: proofs.pickHeader(block), receipts };
+}
+
+// certificate: certificateNumber, documentHash, certifiedHash, issuer
+// { address, name }, validFrom, validUntil, chainId, contractAddress,
+// transactionHash and batch { root, proof } for batch certificates.
+// document: { name, buffer }. Returns the ZIP as a buffer.
+async function createBundle(provider, certificate, document) {
+  const chain = await fetchInclusionProof(provider, certificate.transactionHash);
+  const documentPath = `document/${path.basename(document.name)}`;
+
+  const receipt = {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    ...certificate,
+    blockNumber: Number(chain.receipt.blockNumber),
+    blockHash: chain.receipt.blockHash,
+    hashAlgorithm: 'sha256',
+    document: documentPath,
+    documentFileHash: sha256(document.buffer)
+  };
+
+  const zip = new JSZip();
+  zip.file('certificate-receipt.json', JSON.stringify(receipt, null, 2));
+  zip.file(documentPath, document.buffer);
+  zip.file('chain/receipt.json', JSON.stringify(chain.receipt, null, 2));
+  zip.file('chain/block-receipts.json', JSON.stringify(chain.receipts, null, 2));
+  zip.file('chain/block-header.json', JSON.stringify(chain.header, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+async function readJson(zip, name) {
+  const entry = zip.file(name);
+  if (!entry) throw new Error(`Bundle is missing ${name}`);
+  return JSON.parse(await entry.async('string'));
+}
+
+// Certificate data read back out of the bundled document
+async function extractDocumentPayload(name, buffer) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-'));
+  const filePath = path.join(tempDir, path.basename(name));
+
+  try {
+    fs.writeFileSync(filePath, buffer);
+    const { qrData } = await documents.extractCertificateData(filePath, name);
+    return qrData ? documents.parseQRData(qrData) : null;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// The registration event in the transaction's logs: DocumentRegistered for
+// the certificate, or BatchAnchored for its batch root
+function findRegistrationEvent(receipt, certificate, abi) {
+  const contract = new ethers.Interface(abi);
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== certificate.contractAddress.toLowerCase()) continue;
+
+    let event;
+    try {
+      event = contract.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (!event) continue;
+
+    if (!certificate.batch && event.name === 'DocumentRegistered' && event.args.certificateNumber === certificate.certificateNumber) {
+      return {
+        name: event.name,
+        documentHash: fromBytes32Hash(event.args.documentHash),
+        certifiedHash: fromBytes32Hash(event.args.certifiedHash),
+        issuer: event.args.issuer,
+        validFrom: Number(event.args.validFrom),
+        validUntil: Number(event.args.validUntil)
+      };
+    }
+
+    if (certificate.batch && event.name === 'BatchAnchored' && event.args.root.toLowerCase() === certificate.batch.root.toLowerCase()) {
+      return { name: event.name, root: event.args.root, issuer: event.args.issuer };
+    }
+  }
+
+  return null;
+}
+
+function getValidityStatus(validFrom, validUntil, now = Math.floor(Date.now() / 1000)) {
+  if (validFrom && now < validFrom) return 'NOT_YET_VALID';
+  if (validUntil && now > validUntil) return 'EXPIRED';
+  return 'VALID';
+}
+
+// Check a bundle using nothing but its own contents. options.abi is the
+// contract ABI; options.original is the buffer of the original file, checked
+// against the registered document hash when given. Returns { success, isValid,
+// status, checks, ... }; each check is { name, passed, details }.
+async function verifyBundle(bundleBuffer, options = {}) {
+  const checks = [];
+  const check = (name, passed, details) => {
+    checks.push({ name, passed: Boolean(passed), details });
+    return Boolean(passed);
+  };
+
+  let zip;
+  let certificate;
+  let chain;
+  let documentBuffer;
+  try {
+    zip = await JSZip.loadAsync(bundleBuffer);
+    certificate = await readJson(zip, 'certificate-receipt.json');
+    chain = {
+      receipt: await readJson(zip, 'chain/receipt.json'),
+      receipts: await readJson(zip, 'chain/block-receipts.json'),
+      header: await readJson(zip, 'chain/block-header.json')
+    };
+
+    if (certificate.type !== BUNDLE_TYPE || certificate.version !== BUNDLE_VERSION) {
+      throw new Error(`Not a version ${BUNDLE_VERSION} verification bundle`);
+    }
+
+    const entry = certificate.document && zip.file(certificate.document);
+    if (!entry) throw new Error('Bundle is missing the certified document');
+    documentBuffer = await entry.async('nodebuffer');
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const { header, receipt, receipts } = chain;
+
+  // Block header -> block hash
+  let blockHash = null;
+  try {
+    blockHash = proofs.computeBlockHash(header);
+  } catch (error) {
+    check('Block header', false, error.message);
+  }
+  if (blockHash) {
+    check('Block header', blockHash === header.hash,
+      blockHash === header.hash ? `hashes to ${blockHash}` : `hashes to ${blockHash}, not ${header.hash}`);
+  }
+
+  // Every receipt of the block -> receiptsRoot in the header
+  let receiptsRoot = null;
+  try {
+    receiptsRoot = proofs.computeReceiptsRoot(receipts);
+  } catch (error) {
+    check('Receipts root', false, error.message);
+  }
+  if (receiptsRoot) {
+    check('Receipts root', receiptsRoot === header.receiptsRoot,
+      receiptsRoot === header.receiptsRoot ? 'all block receipts match the header' : `receipts hash to ${receiptsRoot}, not ${header.receiptsRoot}`);
+  }
+
+  // The registration receipt is one of them, in this block
+  const included = receipts.find(r => r.transactionHash === receipt.transactionHash);
+  const inBlock = included && receipt.blockHash === header.hash && receipt.transactionHash === certificate.transactionHash &&
+    proofs.encodeReceipt(included) === proofs.encodeReceipt(receipt) && Number(receipt.status) === 1;
+  check('Transaction receipt', inBlock,
+    `${receipt.transactionHash} ${inBlock ? 'succeeded in' : 'is not a successful transaction of'} block ${Number(header.number)}`);
+
+  // The contract event in the receipt matches the certificate
+  const event = findRegistrationEvent(receipt, certificate, options.abi);
+  let registered = null;
+
+  if (!certificate.batch) {
+    const matches = event &&
+      event.documentHash === certificate.documentHash &&
+      event.certifiedHash === certificate.certifiedHash &&
+      event.issuer.toLowerCase() === certificate.issuer.address.toLowerCase();
+    check('Registration event', matches,
+      !event ? `no DocumentRegistered event for ${certificate.certificateNumber} from ${certificate.contractAddress}` :
+        matches ? `DocumentRegistered by ${event.issuer}` : 'DocumentRegistered does not match the certificate receipt');
+    if (matches) registered = { documentHash: event.documentHash, certifiedHash: event.certifiedHash, validFrom: event.validFrom, validUntil: event.validUntil };
+  } else {
+    const { root, proof } = certificate.batch;
+    const anchored = event && event.issuer.toLowerCase() === certificate.issuer.address.toLowerCase();
+    check('Registration event', anchored,
+      !event ? `no BatchAnchored event for ${root} from ${certificate.contractAddress}` :
+        anchored ? `BatchAnchored ${root} by ${event.issuer}` : 'BatchAnchored by another issuer than the certificate receipt names');
+
+    // The leaf commits to both hashes, so the certified document is anchored too
+    const leaf = merkle.hashLeaf(certificate.certificateNumber, certificate.documentHash, certificate.certifiedHash, certificate.validFrom || 0, certificate.validUntil || 0);
+    const inBatch = Array.isArray(proof) && merkle.verifyProof(leaf, proof, root);
+    check('Merkle proof', inBatch, inBatch ? 'certificate is a leaf of the anchored batch' : 'certificate is not in the anchored batch');
+    if (anchored && inBatch) registered = { documentHash: certificate.documentHash, certifiedHash: certificate.certifiedHash, validFrom: certificate.validFrom || 0, validUntil: certificate.validUntil || 0 };
+  }
+
+  // The document itself
+  const documentHash = sha256(documentBuffer);
+  let matchedFile = null;
+
+  if (registered) {
+    const payload = await extractDocumentPayload(certificate.document, documentBuffer);
+    check('Certificate data', payload && payload.cert === certificate.certificateNumber && payload.hash === registered.documentHash,
+      payload ? `document names ${payload.cert}` : 'no certificate data found in the document');
+
+    if (registered.certifiedHash) {
+      if (check('Document', documentHash === registered.certifiedHash,
+        documentHash === registered.certifiedHash ? 'unmodified since certification' : 'does not match the certified document')) {
+        matchedFile = 'certified';
+      }
+    }
+
+    if (options.original) {
+      // Private certificates registered a salted commitment to the original
+      const originalHash = commitments.getRegisteredHash(sha256(options.original), payload);
+      if (check('Original file', originalHash === registered.documentHash,
+        originalHash === registered.documentHash ? 'matches the registered document hash' : 'does not match the registered document hash')) {
+        matchedFile = matchedFile || 'original';
+      }
+    }
+  }
+
+  const proven = checks.filter(c => !['Certificate data', 'Document', 'Original file'].includes(c.name)).every(c => c.passed);
+  const contentOk = checks.filter(c => ['Certificate data', 'Document', 'Original file'].includes(c.name)).every(c => c.passed);
+  const validity = registered ? {
+    validFrom: registered.validFrom,
+    validUntil: registered.validUntil,
+    status: getValidityStatus(registered.validFrom, registered.validUntil)
+  } : null;
+
+  const contentAnchored = Boolean(registered && (registered.certifiedHash || options.original));
+
+  let status;
+  if (!proven || !registered) status = 'INVALID_PROOF';
+  else if (!contentOk) status = 'TAMPERED';
+  else if (validity.status !== 'VALID') status = validity.status;
+  else if (!contentAnchored) status = 'UNVERIFIED_CONTENT';
+  else status = 'AUTHENTIC';
+
+  return {
+    success: true,
+    isValid: status === 'AUTHENTIC',
+    status,
+    certificateNumber: certificate.certificateNumber,
+    documentHash: certificate.documentHash,
+    providedHash: documentHash,
+    matchedFile,
+    // Whether the file itself (or the original) was checked against the chain
+    contentAnchored,
+    issuer: certificate.issuer,
+    chainId: certificate.chainId,
+    contractAddress: certificate.contractAddress,
+    transactionHash: receipt.transactionHash,
+    block: { number: Number(header.number), hash: header.hash, timestamp: Number(header.timestamp) },
+    batch: certificate.batch ? { root: certificate.batch.root } : null,
+    validity,
+    bundledAt: certificate.createdAt,
+    checks
+  };
+}
+
+module.exports = {
+  BUNDLE_TYPE,
+  fetchInclusionProof,
+  createBundle,
+  verifyBundle
+};
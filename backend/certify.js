@@ -0,0 +1,636 @@
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const UTIF = require('utif');
+const { PNG } = require('pngjs');
+const { PDFDocument } = require('pdf-lib');
+const config = require('./config');
+const blockchainService = require('./blockchain');
+const registry = require('./registry');
+const pdfSigner = require('./pdfsigner');
+const templates = require('./templates');
+const stamp = require('./stamp');
+const office = require('./office');
+const commitments = require('./commitments');
+const { generateDocumentHash } = require('./documents');
+
+// Certifying documents: stamping the QR code and certificate details into
+// each supported format, and issuing a certificate for a file (certified
+// output, blockchain registration, registry record). Shared by the server
+// and the admin CLI (scripts/admin.js).
+
+const PUBLIC_BASE_URL = config.publicBaseUrl;
+
+const certifiedDir = path.join(__dirname, 'certified-documents');
+const qrDir = path.join(__dirname, 'qr-codes');
+const tempDir = path.join(__dirname, 'temp');
+
+function generateCertificateNumber() {
+  const prefix = 'CERT';
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+// Parse a validity date from a form field (unix seconds or any Date-parsable string).
+// Returns 0 for an empty value and null for an invalid one.
+function parseValidityDate(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+  
+  const text = String(value).trim();
+  const seconds = /^\d+$/.test(text) ? Number(text) : Math.floor(Date.parse(text) / 1000);
+  
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+// Read the optional validFrom/validUntil fields. Returns { validity } or { error }.
+function parseValidityFields(fields) {
+  const validity = {
+    validFrom: parseValidityDate(fields.validFrom),
+    validUntil: parseValidityDate(fields.validUntil)
+  };
+  
+  if (validity.validFrom === null || validity.validUntil === null) {
+    return { error: 'Invalid validFrom/validUntil date' };
+  }
+  
+  if (validity.validUntil && validity.validUntil <= validity.validFrom) {
+    return { error: 'validUntil must be after validFrom' };
+  }
+  
+  return { validity };
+}
+
+// Template name and extra stamp fields (a JSON object) from request fields
+function parseStampOptions(fields) {
+  const template = templates.get(fields.template);
+  if (!template) {
+    return { error: `Unknown template: ${fields.template}` };
+  }
+
+  let extraFields = {};
+  if (fields.fields) {
+    try {
+      extraFields = typeof fields.fields === 'string' ? JSON.parse(fields.fields) : fields.fields;
+    } catch (e) {
+      return { error: 'fields must be a JSON object' };
+    }
+    if (!extraFields || typeof extraFields !== 'object' || Array.isArray(extraFields)) {
+      return { error: 'fields must be a JSON object' };
+    }
+  }
+
+  return { template, fields: extraFields };
+}
+
+// Whether to issue a private certificate (salted commitment on chain) from
+// a request's private field; PRIVATE_CERTIFICATES sets the default
+function parsePrivateField(fields) {
+  if (fields.private === undefined || fields.private === '') return config.privateCertificates;
+  return String(fields.private) === 'true';
+}
+
+// Hash to register for a file. A private certificate registers a commitment
+// to the file and its recipient, title and stamp fields, and its salts go
+// into the certified output as details.commitment.
+function commitDocument(documentHash, isPrivate, details = {}) {
+  if (!isPrivate) return { registeredHash: documentHash, commitment: null };
+  
+  const { commitment, ...salts } = commitments.createCommitment(documentHash, {
+    ...(details.fields || {}),
+    recipient: details.recipient,
+    title: details.title
+  });
+  return { registeredHash: commitment, commitment: salts };
+}
+
+function formatValidityDate(seconds) {
+  return new Date(seconds * 1000).toISOString().substring(0, 10);
+}
+
+// Human-readable validity window, or null when the certificate never expires
+function formatValidityWindow(validity) {
+  if (!validity) return null;
+  
+  const { validFrom, validUntil } = validity;
+  
+  if (validFrom && validUntil) return `${formatValidityDate(validFrom)} to ${formatValidityDate(validUntil)}`;
+  if (validFrom) return `from ${formatValidityDate(validFrom)}`;
+  if (validUntil) return `until ${formatValidityDate(validUntil)}`;
+  return null;
+}
+
+// Values for the template wording placeholders. Upload fields can't
+// override the certificate's own values.
+function getStampValues(certificateNumber, details) {
+  return {
+    ...(details.fields || {}),
+    certificateNumber,
+    title: details.title || '',
+    recipient: details.recipient || '',
+    issuerName: details.issuerName || '',
+    validity: formatValidityWindow(details.validity) || '',
+    supersedes: details.supersedes || ''
+  };
+}
+
+// Verification payload embedded in certified outputs (PDF metadata, text
+// footer). Certificates from a Merkle batch also carry the batch root, their
+// inclusion proof and validity window; private certificates the salts of
+// their commitment.
+function buildQRPayload(certificateNumber, documentHash, details = {}) {
+  const payload = { cert: certificateNumber, hash: documentHash };
+  
+  // Detached certificates stand beside the file they certify
+  if (details.detached) payload.detached = true;
+  
+  if (details.commitment) {
+    payload.salt = details.commitment.salt;
+    payload.digest = details.commitment.documentDigest;
+    payload.disclosures = details.commitment.disclosures;
+  }
+  
+  if (details.batch) {
+    payload.root = details.batch.root;
+    payload.proof = details.batch.proof;
+    payload.validFrom = (details.validity && details.validity.validFrom) || 0;
+    payload.validUntil = (details.validity && details.validity.validUntil) || 0;
+  }
+  
+  return payload;
+}
+
+// Public verification page for a certificate: /verify/<cert>#<hash>, with
+// ":<root>" appended to the fragment for Merkle batch certificates. The hash
+// stays in the fragment, so it never reaches server logs when the page loads.
+function buildVerificationUrl(certificateNumber, documentHash, details = {}) {
+  const fragment = details.batch ? `${documentHash}:${details.batch.root}` : documentHash;
+  return `${PUBLIC_BASE_URL}/verify/${encodeURIComponent(certificateNumber)}#${fragment}`;
+}
+
+// Generate QR Code as buffer and save. The QR holds the verification page URL
+// so a phone camera opens it directly.
+async function generateQRCode(certificateNumber, documentHash, details = {}) {
+  try {
+    const verificationUrl = buildVerificationUrl(certificateNumber, documentHash, details);
+    
+    const qrBuffer = await QRCode.toBuffer(verificationUrl, {
+      width: 200,
+      margin: 1,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+    
+    // Also save QR code as file for reference (previews are never kept)
+    if (!details.preview) {
+      const qrFilePath = path.join(qrDir, `${certificateNumber}.png`);
+      fs.writeFileSync(qrFilePath, qrBuffer);
+    }
+    
+    console.log(`✓ QR Code generated for: ${certificateNumber}`);
+    return qrBuffer;
+  } catch (error) {
+    console.error('QR Code generation error:', error);
+    return null;
+  }
+}
+
+// Store QR data in PDF metadata for extraction
+function setCertificateMetadata(pdfDoc, certificateNumber, documentHash, details) {
+  const qrData = JSON.stringify(buildQRPayload(certificateNumber, documentHash, details));
+  pdfDoc.setTitle(`QR:${qrData}`);
+  pdfDoc.setSubject('Blockchain Verified Certificate');
+  pdfDoc.setKeywords([certificateNumber, 'blockchain', 'verified']);
+}
+
+// Draw the QR stamp laid out by the certificate's template (default footer otherwise)
+async function stampCertificate(pdfDoc, certificateNumber, documentHash, details) {
+  const qrBuffer = await generateQRCode(certificateNumber, documentHash, details);
+  if (!qrBuffer) {
+    console.error('Failed to generate QR code');
+    return false;
+  }
+  
+  await stamp.stampDocument(pdfDoc, details.template || templates.get(), {
+    qrBuffer,
+    values: getStampValues(certificateNumber, details),
+    preview: details.preview
+  });
+  return true;
+}
+
+// Add certificate stamp to PDF with metadata
+async function addMinimalCertificateToPDF(inputPath, outputPath, certificateNumber, documentHash, details = {}) {
+  try {
+    console.log(`Processing PDF: ${inputPath}`);
+    const existingPdfBytes = fs.readFileSync(inputPath);
+    const pdfDoc = await PDFDocument.load(existingPdfBytes);
+    
+    setCertificateMetadata(pdfDoc, certificateNumber, documentHash, details);
+    
+    if (!await stampCertificate(pdfDoc, certificateNumber, documentHash, details)) {
+      return false;
+    }
+    
+    const pdfBytes = await pdfDoc.save();
+    fs.writeFileSync(outputPath, pdfBytes);
+    
+    console.log(`✓ PDF certified with embedded QR data: ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error('PDF processing error:', error);
+    return false;
+  }
+}
+
+// Add a page sized to the image, scaled down to fit
+function addImagePage(pdfDoc, image) {
+  const maxWidth = 500;
+  const maxHeight = 650;
+  let imageWidth = image.width;
+  let imageHeight = image.height;
+  
+  if (imageWidth > maxWidth || imageHeight > maxHeight) {
+    const ratio = Math.min(maxWidth / imageWidth, maxHeight / imageHeight);
+    imageWidth *= ratio;
+    imageHeight *= ratio;
+  }
+  
+  const pageWidth = Math.max(imageWidth + 60, 600);
+  const pageHeight = imageHeight + 40;
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  
+  page.drawImage(image, {
+    x: (pageWidth - imageWidth) / 2,
+    y: 20,
+    width: imageWidth,
+    height: imageHeight,
+  });
+}
+
+// Every page of a (multi-page) TIFF as PNG bytes
+function decodeTIFFPages(buffer) {
+  return UTIF.decode(buffer).map(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    const png = new PNG({ width: ifd.width, height: ifd.height });
+    png.data = Buffer.from(UTIF.toRGBA8(ifd));
+    return PNG.sync.write(png);
+  });
+}
+
+// Convert an image (one page per TIFF page) to PDF with certificate stamp
+async function convertImageToPDF(inputPath, outputPath, certificateNumber, documentHash, details = {}) {
+  try {
+    const pdfDoc = await PDFDocument.create();
+    
+    setCertificateMetadata(pdfDoc, certificateNumber, documentHash, details);
+    
+    const imageBytes = fs.readFileSync(inputPath);
+    
+    let images;
+    const ext = path.extname(inputPath).toLowerCase();
+    
+    if (ext === '.png') {
+      images = [await pdfDoc.embedPng(imageBytes)];
+    } else if (ext === '.jpg' || ext === '.jpeg') {
+      images = [await pdfDoc.embedJpg(imageBytes)];
+    } else if (ext === '.tif' || ext === '.tiff') {
+      images = [];
+      for (const pageBytes of decodeTIFFPages(imageBytes)) {
+        images.push(await pdfDoc.embedPng(pageBytes));
+      }
+    } else {
+      return false;
+    }
+    
+    if (images.length === 0) return false;
+    images.forEach(image => addImagePage(pdfDoc, image));
+    
+    // Pages are sized to the images, so the stamp always goes next to them, never over them
+    const template = { ...(details.template || templates.get()), expandPage: true };
+    if (!await stampCertificate(pdfDoc, certificateNumber, documentHash, { ...details, template })) {
+      return false;
+    }
+    
+    const pdfBytes = await pdfDoc.save();
+    fs.writeFileSync(outputPath, pdfBytes);
+    
+    console.log(`✓ Image converted to PDF with embedded QR (${images.length} page${images.length === 1 ? '' : 's'}): ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error('Image conversion error:', error);
+    return false;
+  }
+}
+
+// Add a certificate section and document properties to a Word (DOCX) or
+// OpenDocument (ODT) file
+async function certifyOfficeDocument(inputPath, outputPath, certificateNumber, documentHash, details = {}) {
+  try {
+    const qrBuffer = await generateQRCode(certificateNumber, documentHash, details);
+    if (!qrBuffer) return false;
+    
+    const template = details.template || templates.get();
+    const ext = path.extname(outputPath).toLowerCase();
+    const certify = ext === '.docx' ? office.certifyDocx : office.certifyOdt;
+    
+    await certify(inputPath, outputPath, {
+      qrBuffer,
+      qrSize: template.qrSize,
+      colors: template.colors,
+      text: stamp.getStampText(template, getStampValues(certificateNumber, details)),
+      properties: {
+        CertificateNumber: certificateNumber,
+        DocumentHash: documentHash,
+        VerificationUrl: buildVerificationUrl(certificateNumber, documentHash, details),
+        [office.QR_PROPERTY]: JSON.stringify(buildQRPayload(certificateNumber, documentHash, details))
+      }
+    });
+    
+    console.log(`✓ ${ext.substring(1).toUpperCase()} certified with embedded QR data: ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error('Office document error:', error);
+    return false;
+  }
+}
+
+// Certificate for a file that can't carry one itself: a receipt PDF with the
+// file's name, size and hash, the QR code, and the same details as an attached
+// JSON receipt. The file stays untouched; verify it by uploading it with the receipt.
+async function createDetachedCertificate(inputPath, outputPath, certificateNumber, documentHash, originalName, details = {}) {
+  try {
+    const pdfDoc = await PDFDocument.create();
+    details = { ...details, detached: true };
+    
+    setCertificateMetadata(pdfDoc, certificateNumber, documentHash, details);
+    
+    const fileSize = fs.statSync(inputPath).size;
+    const baseTemplate = details.template || templates.get();
+    const template = {
+      ...baseTemplate,
+      position: 'cover-page',
+      fields: [...baseTemplate.fields, 'File: {fileName}', 'Size: {fileSize}', 'SHA-256: {documentHash}'],
+      wording: {
+        ...baseTemplate.wording,
+        instructions: 'Keep this receipt with the file - upload both to verify the file'
+      }
+    };
+    const fields = {
+      ...(details.fields || {}),
+      // The standard PDF fonts only cover Latin text
+      fileName: originalName.replace(/[^\x20-\x7E]/g, '_'),
+      fileSize: `${fileSize.toLocaleString('en-US')} bytes`,
+      // A private certificate registers a commitment, not the file hash
+      documentHash: details.commitment ? generateDocumentHash(inputPath) : documentHash
+    };
+    
+    if (!await stampCertificate(pdfDoc, certificateNumber, documentHash, { ...details, template, fields })) {
+      return false;
+    }
+    
+    const receipt = {
+      type: 'DetachedCertificateReceipt',
+      certificateNumber,
+      fileName: originalName,
+      fileSize,
+      hashAlgorithm: 'sha256',
+      documentHash: fields.documentHash,
+      ...(details.commitment ? { commitment: documentHash } : {}),
+      issuer: details.issuerName || null,
+      issuedAt: new Date().toISOString(),
+      verificationUrl: buildVerificationUrl(certificateNumber, documentHash, details),
+      qrData: JSON.stringify(buildQRPayload(certificateNumber, documentHash, details))
+    };
+    
+    await pdfDoc.attach(Buffer.from(JSON.stringify(receipt, null, 2)), 'certificate-receipt.json', {
+      mimeType: 'application/json',
+      description: 'Certificate receipt',
+      creationDate: new Date()
+    });
+    
+    const pdfBytes = await pdfDoc.save();
+    fs.writeFileSync(outputPath, pdfBytes);
+    
+    console.log(`✓ Detached certificate created for ${originalName}: ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error('Detached certificate error:', error);
+    return false;
+  }
+}
+
+// Create certified text file
+function createCertifiedTextFile(inputPath, outputPath, certificateNumber, documentHash, details = {}) {
+  try {
+    const originalContent = fs.readFileSync(inputPath, 'utf8');
+    const timestamp = new Date().toLocaleString();
+    const validityWindow = formatValidityWindow(details.validity);
+    const qrData = JSON.stringify(buildQRPayload(certificateNumber, documentHash, details));
+    const template = details.template || templates.get();
+    const values = getStampValues(certificateNumber, details);
+    const heading = stamp.fillLine(template.wording.heading, values) || 'BLOCKCHAIN VERIFIED CERTIFICATE';
+    const fieldLines = template.fields.map(line => stamp.fillLine(line, values)).filter(Boolean);
+    
+    const certifiedContent = `${originalContent}
+
+${'═'.repeat(80)}
+${heading}
+Certificate Number: ${certificateNumber}${details.title ? `\nTitle: ${details.title}` : ''}${details.recipient ? `\nRecipient: ${details.recipient}` : ''}
+${details.commitment ? 'Document Commitment' : 'Document Hash'}: ${documentHash}${details.issuerName ? `\nIssued By: ${details.issuerName}` : ''}${validityWindow ? `\nValidity: ${validityWindow}` : ''}${details.supersedes ? `\nSupersedes: ${details.supersedes}` : ''}${fieldLines.map(line => `\n${line}`).join('')}
+Certified: ${timestamp}
+
+QR Data (for verification): ${qrData}
+
+Upload this file to verify at: ${PUBLIC_BASE_URL}
+${'═'.repeat(80)}
+`;
+    
+    fs.writeFileSync(outputPath, certifiedContent, 'utf8');
+    console.log(`✓ Text file certified: ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error('Text file error:', error);
+    return false;
+  }
+}
+
+// Process document
+async function processCertifiedDocument(inputPath, certificateNumber, documentHash, originalName, details = {}) {
+  const ext = path.extname(originalName).toLowerCase();
+  const baseName = path.basename(originalName, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
+  // Previews are rendered to the temp directory and never signed
+  const outputDir = details.preview ? tempDir : certifiedDir;
+  
+  let outputPath;
+  let success = false;
+  
+  try {
+    if (ext === '.pdf') {
+      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.pdf`;
+      outputPath = path.join(outputDir, certifiedFileName);
+      success = await addMinimalCertificateToPDF(inputPath, outputPath, certificateNumber, documentHash, details);
+    } 
+    else if (['.png', '.jpg', '.jpeg', '.tif', '.tiff'].includes(ext)) {
+      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.pdf`;
+      outputPath = path.join(outputDir, certifiedFileName);
+      success = await convertImageToPDF(inputPath, outputPath, certificateNumber, documentHash, details);
+    } 
+    else if (ext === '.txt') {
+      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.txt`;
+      outputPath = path.join(outputDir, certifiedFileName);
+      success = createCertifiedTextFile(inputPath, outputPath, certificateNumber, documentHash, details);
+    }
+    else if (ext === '.docx' || ext === '.odt') {
+      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}${ext}`;
+      outputPath = path.join(outputDir, certifiedFileName);
+      success = await certifyOfficeDocument(inputPath, outputPath, certificateNumber, documentHash, details);
+    }
+    else {
+      // Any other format gets a detached certificate
+      const certifiedFileName = `${baseName}_CERTIFICATE_${certificateNumber}.pdf`;
+      outputPath = path.join(outputDir, certifiedFileName);
+      success = await createDetachedCertificate(inputPath, outputPath, certificateNumber, documentHash, originalName, details);
+    }
+    
+    if (success && outputPath && fs.existsSync(outputPath)) {
+      // Sign last: the signature must cover the finished file, and the
+      // on-chain certified hash is taken over the signed bytes
+      if (pdfSigner.enabled && !details.preview && path.extname(outputPath) === '.pdf') {
+        await pdfSigner.signFile(outputPath);
+      }
+      
+      console.log(`✓ File created: ${outputPath}`);
+      return outputPath;
+    }
+    
+    return null;
+  } catch (error) {
+    console.error('Processing error:', error);
+    return null;
+  }
+}
+
+// Certify a file and register it on blockchain. file is { path, originalname };
+// details adds recipient/title/supersedes to the stamp; requestedBy is the
+// account reference kept with the record. With pending, this returns once the
+// transaction is sent; with isPrivate, a salted commitment is registered
+// instead of the file hash. Returns { success, pending, record }, or {
+// success: false, error, details, code } with code NOT_ISSUER when the signer
+// may not certify. The input file is left in place.
+async function issueDocument(file, { validity = {}, stampOptions, details = {}, requestedBy = null, pending = false, isPrivate = false, source = 'Upload' }) {
+  const certificateNumber = generateCertificateNumber();
+  
+  // Calculate hash of ORIGINAL document
+  const originalDocumentHash = generateDocumentHash(file.path);
+  
+  console.log(`${source}: ${file.originalname} -> ${certificateNumber}`);
+  console.log(`Original hash: ${originalDocumentHash.substring(0, 20)}...`);
+
+  // Only addresses registered as issuers on the contract may certify
+  const issuerInfo = await blockchainService.getSignerIssuer();
+
+  if (!issuerInfo.success) {
+    return { success: false, error: 'Issuer lookup failed', details: issuerInfo.error };
+  }
+
+  if (!issuerInfo.active) {
+    return {
+      success: false,
+      code: 'NOT_ISSUER',
+      error: 'Not an authorized issuer',
+      details: `Signer ${issuerInfo.address} is not registered as an active issuer on the contract`
+    };
+  }
+
+  const stampDetails = { ...details, issuerName: issuerInfo.name, validity, template: stampOptions.template, fields: stampOptions.fields };
+  const { registeredHash, commitment } = commitDocument(originalDocumentHash, isPrivate, stampDetails);
+
+  // Process document (adds QR code with embedded metadata)
+  const certifiedPath = await processCertifiedDocument(
+    file.path, 
+    certificateNumber, 
+    registeredHash,
+    file.originalname,
+    { ...stampDetails, commitment }
+  );
+
+  if (!certifiedPath) {
+    return { success: false, error: 'Document processing failed' };
+  }
+
+  // Hash the CERTIFIED output so verification can detect edits to its content
+  const certifiedDocumentHash = generateDocumentHash(certifiedPath);
+  console.log(`Certified hash: ${certifiedDocumentHash.substring(0, 20)}...`);
+
+  // Register on blockchain with ORIGINAL (or its commitment) and CERTIFIED hashes
+  const blockchainResult = await blockchainService.registerDocument(
+    certificateNumber,
+    registeredHash,
+    certifiedDocumentHash,
+    validity,
+    { wait: !pending, meta: { certificateNumber }, amends: details.supersedes }
+  );
+
+  if (!blockchainResult.success) {
+    if (fs.existsSync(certifiedPath)) fs.unlinkSync(certifiedPath);
+    return { success: false, error: 'Blockchain registration failed', details: blockchainResult.error };
+  }
+
+  registry.add({
+    certificateNumber,
+    originalFileName: file.originalname,
+    documentHash: registeredHash,
+    certifiedHash: certifiedDocumentHash,
+    txHash: blockchainResult.txHash,
+    blockNumber: blockchainResult.blockNumber,
+    issuer: { address: issuerInfo.address, name: issuerInfo.name },
+    certifiedFileName: path.basename(certifiedPath),
+    outputPath: path.relative(__dirname, certifiedPath),
+    validFrom: validity.validFrom,
+    validUntil: validity.validUntil,
+    ...(details.recipient ? { recipient: details.recipient } : {}),
+    ...(details.title ? { title: details.title } : {}),
+    template: stampOptions.template.name,
+    ...(details.supersedes ? { supersedes: details.supersedes } : {}),
+    ...(isPrivate ? { private: true } : {}),
+    requestedBy,
+    ...(blockchainResult.pending ? { status: 'PENDING', transactionId: blockchainResult.transactionId } : {})
+  });
+
+  if (details.supersedes && !blockchainResult.pending) {
+    markSuperseded(details.supersedes, certificateNumber);
+  }
+
+  return { success: true, pending: Boolean(blockchainResult.pending), record: registry.get(certificateNumber) };
+}
+
+// Registry side of an amendment, once the new version is on chain
+function markSuperseded(previousCertificateNumber, certificateNumber) {
+  const previous = registry.get(previousCertificateNumber);
+  if (!previous) return;
+  
+  registry.update(previousCertificateNumber, {
+    supersededBy: certificateNumber,
+    ...(previous.status === 'ACTIVE' ? { status: 'SUPERSEDED' } : {})
+  });
+  console.log(`✓ ${previousCertificateNumber} superseded by ${certificateNumber}`);
+}
+
+module.exports = {
+  certifiedDir,
+  qrDir,
+  tempDir,
+  generateCertificateNumber,
+  parseValidityFields,
+  parseStampOptions,
+  parsePrivateField,
+  commitDocument,
+  buildQRPayload,
+  buildVerificationUrl,
+  processCertifiedDocument,
+  issueDocument,
+  markSuperseded
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// Private certificates register a salted commitment instead of the plain
+// SHA-256 of the original file, so the hash of a template letter can't be
+// confirmed on chain by hashing guesses:
+//
+//   documentDigest = HMAC-SHA256(key: salt, documentHash)
+//   fieldDigest    = SHA-256 of the disclosure [salt, name, value] (JSON)
+//   commitment     = SHA-256(documentDigest + sorted field digests)
+//
+// The salts travel in the certified document's payload. A disclosure of some
+// fields reveals only their own salts and values; the rest stay digests.
+const DISCLOSURE_TYPE = 'CertificateDisclosure';
+const DISCLOSURE_VERSION = 1;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function randomSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashDocument(documentHash, salt) {
+  return crypto.createHmac('sha256', salt).update(documentHash).digest('hex');
+}
+
+function hashDisclosure(disclosure) {
+  return sha256(JSON.stringify(disclosure));
+}
+
+function hashCommitment(documentDigest, fieldDigests) {
+  return sha256(documentDigest + fieldDigests.slice().sort().join(''));
+}
+
+// Commit to a file hash and its certificate fields ({ name: value }, empty
+// values left out). Returns { commitment, salt, documentDigest, disclosures },
+// all but the commitment kept in the certified document. The digest lets a
+// holder without the original file disclose fields.
+function createCommitment(documentHash, fields = {}) {
+  const salt = randomSalt();
+  const documentDigest = hashDocument(documentHash, salt);
+  const disclosures = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && String(value) !== '')
+    .map(([name, value]) => [randomSalt(), name, String(value)]);
+
+  return {
+    commitment: hashCommitment(documentDigest, disclosures.map(hashDisclosure)),
+    salt,
+    documentDigest,
+    disclosures
+  };
+}
+
+// The hash a file was registered under: its commitment when the certificate
+// payload carries a salt, otherwise the file hash itself
+function getRegisteredHash(documentHash, payload) {
+  if (!payload || !payload.salt) return documentHash;
+
+  const disclosures = Array.isArray(payload.disclosures) ? payload.disclosures : [];
+  return hashCommitment(hashDocument(documentHash, payload.salt), disclosures.map(hashDisclosure));
+}
+
+// Disclosure of the named fields of a private certificate, from the payload
+// of its certified document. Batch certificates keep what their leaf needs.
+function createDisclosure(payload, names) {
+  if (!payload.salt || !payload.digest) throw new Error('Not a private certificate');
+
+  const disclosures = payload.disclosures || [];
+  const missing = names.filter(name => !disclosures.some(([, field]) => field === name));
+  if (missing.length > 0) throw new Error(`Certificate has no field ${missing.join(', ')}`);
+
+  return {
+    type: DISCLOSURE_TYPE,
+    version: DISCLOSURE_VERSION,
+    certificateNumber: payload.cert,
+    commitment: payload.hash,
+    // Enough to rebuild the commitment without the document hash or its salt
+    documentDigest: payload.digest,
+    digests: disclosures.map(hashDisclosure).sort(),
+    disclosures: disclosures.filter(([, name]) => names.includes(name)),
+    ...(payload.root ? {
+      batch: {
+        root: payload.root,
+        proof: payload.proof,
+        certifiedHash: payload.certifiedHash,
+        validFrom: payload.validFrom || 0,
+        validUntil: payload.validUntil || 0
+      }
+    } : {})
+  };
+}
+
+// Check a disclosure against its own commitment. Returns { valid, fields }
+// or { valid: false, error }; the commitment still has to be found on chain.
+function verifyDisclosure(disclosure) {
+  if (!disclosure || disclosure.type !== DISCLOSURE_TYPE || disclosure.version !== DISCLOSURE_VERSION) {
+    return { valid: false, error: `Not a version ${DISCLOSURE_VERSION} certificate disclosure` };
+  }
+
+  const { documentDigest, digests, disclosures } = disclosure;
+  if (!/^[0-9a-f]{64}$/.test(documentDigest) || !Array.isArray(digests) || !Array.isArray(disclosures)) {
+    return { valid: false, error: 'Disclosure is incomplete' };
+  }
+
+  if (hashCommitment(documentDigest, digests) !== disclosure.commitment) {
+    return { valid: false, error: 'Digests do not add up to the commitment' };
+  }
+
+  const fields = {};
+  for (const item of disclosures) {
+    if (!Array.isArray(item) || item.length !== 3 || !digests.includes(hashDisclosure(item))) {
+      return { valid: false, error: 'A disclosed field is not part of the commitment' };
+    }
+    fields[item[1]] = item[2];
+  }
+
+  return { valid: true, fields };
+}
+
+module.exports = {
+  DISCLOSURE_TYPE,
+  createCommitment,
+  getRegisteredHash,
+  createDisclosure,
+  verifyDisclosure
+};
@@ -0,0 +1,260 @@
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// All runtime settings come from the environment (or backend/.env).
+// Defaults match a local Hardhat node so `npx hardhat node` + `npm run deploy`
+// still works without any configuration.
+const env = process.env;
+
+function parseInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN;
+}
+
+function isUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Express "trust proxy" setting: a hop count, true/false, or a subnet list
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+const port = parseInteger(env.PORT, 3000);
+
+const config = {
+  network: env.NETWORK || 'localhost',
+  rpcUrl: env.RPC_URL || 'http://127.0.0.1:8545',
+  chainId: parseInteger(env.CHAIN_ID, null),
+  privateKey: env.PRIVATE_KEY || '',
+  keystorePath: env.KEYSTORE_PATH ? path.resolve(__dirname, env.KEYSTORE_PATH) : '',
+  keystorePassword: env.KEYSTORE_PASSWORD || '',
+  contractAddress: env.CONTRACT_ADDRESS || '',
+  port,
+  publicBaseUrl: (env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+  adminApiKey: env.ADMIN_API_KEY || '',
+  sessionTtl: parseInteger(env.SESSION_TTL_MINUTES, 480) * 60 * 1000,
+  // Browser origins allowed to call the API; "*" allows any
+  corsOrigins: (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  trustProxy: parseTrustProxy(env.TRUST_PROXY),
+  // Embedded PDF signatures; signing is enabled when a PKCS#12 file is set
+  pdfSigning: {
+    p12Path: env.PDF_SIGNING_P12 ? path.resolve(__dirname, env.PDF_SIGNING_P12) : '',
+    passphrase: env.PDF_SIGNING_PASSPHRASE || '',
+    reason: env.PDF_SIGNING_REASON || 'Certified document',
+    location: env.PDF_SIGNING_LOCATION || '',
+    contactInfo: env.PDF_SIGNING_CONTACT || '',
+    trustedCaPath: env.PDF_SIGNING_TRUSTED_CA ? path.resolve(__dirname, env.PDF_SIGNING_TRUSTED_CA) : ''
+  },
+  shareLinks: {
+    secret: env.SHARE_LINK_SECRET || '',
+    defaultTtl: parseInteger(env.SHARE_LINK_TTL, 7 * 24 * 60 * 60),
+    maxTtl: parseInteger(env.SHARE_LINK_MAX_TTL, 30 * 24 * 60 * 60)
+  },
+  rateLimit: {
+    windowMs: parseInteger(env.RATE_LIMIT_WINDOW_MS, 60000),
+    verify: parseInteger(env.RATE_LIMIT_VERIFY, 30),
+    login: parseInteger(env.RATE_LIMIT_LOGIN, 10)
+  },
+  maxBatchFiles: parseInteger(env.MAX_BATCH_FILES, 1000),
+  // Register salted commitments instead of plain document hashes by default
+  privateCertificates: env.PRIVATE_CERTIFICATES === 'true',
+  indexer: {
+    confirmations: parseInteger(env.INDEXER_CONFIRMATIONS, 2),
+    pollInterval: parseInteger(env.INDEXER_POLL_INTERVAL, 5000),
+    startBlock: parseInteger(env.INDEXER_START_BLOCK, undefined)
+  },
+  transactions: {
+    confirmations: parseInteger(env.TX_CONFIRMATIONS, 1),
+    pollInterval: parseInteger(env.TX_POLL_INTERVAL, 2000),
+    bumpAfter: parseInteger(env.TX_BUMP_AFTER, 60000),
+    bumpPercent: parseInteger(env.TX_FEE_BUMP_PERCENT, 15),
+    gasHeadroomPercent: parseInteger(env.TX_GAS_HEADROOM_PERCENT, 20),
+    maxRetries: parseInteger(env.TX_MAX_RETRIES, 3),
+    maxFeeGwei: env.TX_MAX_FEE_GWEI || null,
+    priorityFeeGwei: env.TX_PRIORITY_FEE_GWEI || null
+  },
+  // Certificate stamp templates (JSON files)
+  templatesDir: env.TEMPLATES_DIR ? path.resolve(__dirname, env.TEMPLATES_DIR) : path.join(__dirname, 'templates'),
+  deploymentsDir: path.join(__dirname, 'deployments')
+};
+
+// Without CORS_ORIGINS only the public site itself may call the API from a browser
+if (config.corsOrigins.length === 0 && isUrl(config.publicBaseUrl, ['http:', 'https:'])) {
+  config.corsOrigins = [new URL(config.publicBaseUrl).origin];
+}
+
+function getDeploymentManifestPath(network = config.network) {
+  return path.join(config.deploymentsDir, `${network}.json`);
+}
+
+// Record where the contract of a network lives. Returns the manifest path.
+function saveDeploymentManifest(manifest) {
+  const manifestPath = getDeploymentManifestPath(manifest.network);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+  // Keep the legacy address file for local setups that still read it
+  if (manifest.network === 'localhost') {
+    fs.writeFileSync(path.join(__dirname, 'contract-address.txt'), manifest.address);
+  }
+
+  return manifestPath;
+}
+
+// Contract address: CONTRACT_ADDRESS, then the deployment manifest for the
+// configured network, then the legacy contract-address.txt written by older deploys
+function resolveContractAddress() {
+  if (config.contractAddress) {
+    return { address: config.contractAddress, source: 'CONTRACT_ADDRESS' };
+  }
+
+  const manifestPath = getDeploymentManifestPath();
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return {
+      address: manifest.address,
+      source: path.relative(__dirname, manifestPath),
+      deploymentBlock: manifest.blockNumber
+    };
+  }
+
+  const legacyPath = path.join(__dirname, 'contract-address.txt');
+  if (fs.existsSync(legacyPath)) {
+    return { address: fs.readFileSync(legacyPath, 'utf8').trim(), source: 'contract-address.txt' };
+  }
+
+  return { address: '', source: null };
+}
+
+// Returns a list of problems; an empty list means the configuration is usable
+function validateConfig() {
+  const errors = [];
+
+  if (!isUrl(config.rpcUrl, ['http:', 'https:', 'ws:', 'wss:'])) {
+    errors.push(`RPC_URL must be an http(s) or ws(s) URL (got "${config.rpcUrl}")`);
+  }
+
+  if (Number.isNaN(config.chainId) || config.chainId === 0) {
+    errors.push('CHAIN_ID must be a positive integer');
+  }
+
+  if (config.privateKey && config.keystorePath) {
+    errors.push('Set either PRIVATE_KEY or KEYSTORE_PATH, not both');
+  }
+
+  if (config.privateKey && !/^(0x)?[0-9a-fA-F]{64}$/.test(config.privateKey)) {
+    errors.push('PRIVATE_KEY must be a 32-byte hex string');
+  }
+
+  if (config.keystorePath) {
+    if (!fs.existsSync(config.keystorePath)) {
+      errors.push(`KEYSTORE_PATH does not exist: ${config.keystorePath}`);
+    }
+    if (!config.keystorePassword) {
+      errors.push('KEYSTORE_PASSWORD is required when KEYSTORE_PATH is set');
+    }
+  }
+
+  if (config.contractAddress && !ethers.isAddress(config.contractAddress)) {
+    errors.push('CONTRACT_ADDRESS is not a valid address');
+  }
+
+  if (Number.isNaN(config.port) || config.port < 1 || config.port > 65535) {
+    errors.push('PORT must be between 1 and 65535');
+  }
+
+  if (!isUrl(config.publicBaseUrl, ['http:', 'https:'])) {
+    errors.push(`PUBLIC_BASE_URL must be an http(s) URL (got "${config.publicBaseUrl}")`);
+  }
+
+  if (Number.isNaN(config.maxBatchFiles) || config.maxBatchFiles < 1) {
+    errors.push('MAX_BATCH_FILES must be a positive integer');
+  }
+
+  ['confirmations', 'pollInterval', 'startBlock'].forEach(key => {
+    if (Number.isNaN(config.indexer[key])) {
+      errors.push(`INDEXER_${key.replace(/[A-Z]/g, c => '_' + c).toUpperCase()} must be a non-negative integer`);
+    }
+  });
+
+  if (Number.isNaN(config.sessionTtl) || config.sessionTtl <= 0) {
+    errors.push('SESSION_TTL_MINUTES must be a positive integer');
+  }
+
+  config.corsOrigins.filter(origin => origin !== '*').forEach(origin => {
+    if (!isUrl(origin, ['http:', 'https:'])) {
+      errors.push(`CORS_ORIGINS entry is not an http(s) origin: ${origin}`);
+    }
+  });
+
+  [
+    ['RATE_LIMIT_WINDOW_MS', config.rateLimit.windowMs],
+    ['RATE_LIMIT_VERIFY', config.rateLimit.verify],
+    ['RATE_LIMIT_LOGIN', config.rateLimit.login]
+  ].forEach(([name, value]) => {
+    if (Number.isNaN(value) || value < 1) {
+      errors.push(`${name} must be a positive integer`);
+    }
+  });
+
+  [
+    ['PDF_SIGNING_P12', config.pdfSigning.p12Path],
+    ['PDF_SIGNING_TRUSTED_CA', config.pdfSigning.trustedCaPath]
+  ].forEach(([name, filePath]) => {
+    if (filePath && !fs.existsSync(filePath)) {
+      errors.push(`${name} does not exist: ${filePath}`);
+    }
+  });
+
+  const { shareLinks } = config;
+  if (Number.isNaN(shareLinks.maxTtl) || shareLinks.maxTtl < 1) {
+    errors.push('SHARE_LINK_MAX_TTL must be a positive integer');
+  }
+  if (Number.isNaN(shareLinks.defaultTtl) || shareLinks.defaultTtl < 1 || shareLinks.defaultTtl > shareLinks.maxTtl) {
+    errors.push('SHARE_LINK_TTL must be a positive integer no larger than SHARE_LINK_MAX_TTL');
+  }
+  if (shareLinks.secret && shareLinks.secret.length < 32) {
+    errors.push('SHARE_LINK_SECRET must be at least 32 characters');
+  }
+
+  const tx = config.transactions;
+  [
+    ['TX_CONFIRMATIONS', tx.confirmations, 1],
+    ['TX_POLL_INTERVAL', tx.pollInterval, 1],
+    ['TX_BUMP_AFTER', tx.bumpAfter, 1],
+    ['TX_GAS_HEADROOM_PERCENT', tx.gasHeadroomPercent, 0],
+    ['TX_MAX_RETRIES', tx.maxRetries, 0]
+  ].forEach(([name, value, min]) => {
+    if (Number.isNaN(value) || value < min) {
+      errors.push(`${name} must be an integer >= ${min}`);
+    }
+  });
+
+  // Nodes reject replacements that don't raise the fee by at least 10%
+  if (Number.isNaN(tx.bumpPercent) || tx.bumpPercent < 10) {
+    errors.push('TX_FEE_BUMP_PERCENT must be an integer >= 10');
+  }
+
+  ['TX_MAX_FEE_GWEI', 'TX_PRIORITY_FEE_GWEI'].forEach(name => {
+    if (env[name] && !/^\d+(\.\d{1,9})?$/.test(env[name])) {
+      errors.push(`${name} must be a number of gwei`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = config;
+module.exports.validateConfig = validateConfig;
+module.exports.resolveContractAddress = resolveContractAddress;
+module.exports.getDeploymentManifestPath = getDeploymentManifestPath;
+module.exports.saveDeploymentManifest = saveDeploymentManifest;
@@ -1,60 +1,469 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+// Certificates are keyed by keccak256(certificateNumber) and their hashes kept
+// as bytes32 (the SHA-256 digests the server computes), so a registration
+// writes four storage slots. Certificate numbers only travel in calldata and
+// events.
 contract DocumentVerification {
-    struct Document {
-        string certificateNumber;
-        string documentHash;
-        uint256 timestamp;
+    enum RevocationReason {
+        None,
+        IssuedInError,
+        Invalidated,
+        Fraudulent,
+        Other
+    }
+    
+    enum ValidityStatus {
+        Valid,
+        NotYetValid,
+        Expired
+    }
+    
+    // Revoked when the reason is not None
+    struct Revocation {
+        RevocationReason reason;
+        uint64 revokedAt;
+    }
+    
+    struct Issuer {
+        string name;
+        bool active;
         bool exists;
     }
     
-    mapping(string => Document) public documents;
+    // A certificate exists once it has an issuer. The issuer's name is read
+    // from the issuer registry rather than copied into every certificate.
+    struct Document {
+        bytes32 documentHash;
+        bytes32 certifiedHash;
+        address issuer;
+        uint64 timestamp;
+        uint64 validFrom;
+        uint64 validUntil;
+    }
+    
+    // Root of a Merkle tree of certificates anchored in one transaction (one slot)
+    struct Batch {
+        address issuer;
+        uint64 timestamp;
+        uint32 size;
+    }
+    
+    address public owner;
+    
+    mapping(bytes32 => Document) public documents;
+    mapping(bytes32 => Revocation) public revocations;
+    mapping(address => Issuer) public issuers;
+    mapping(bytes32 => Batch) public batches;
+    // Batch certificates are revoked within their batch, keyed by
+    // keccak256(abi.encode(root, certificateId)), so another issuer's batch
+    // can't revoke a certificate number it merely reuses
+    mapping(bytes32 => Revocation) public batchRevocations;
+    address[] private issuerAddresses;
+    
+    // Amendment links: the version a certificate corrects, and the one that
+    // replaced it. Kept as certificate numbers so they read back without an
+    // event index; only amendments pay for them.
+    mapping(bytes32 => string) private previousVersions;
+    mapping(bytes32 => string) private supersededBy;
     
     event DocumentRegistered(
         string certificateNumber,
-        string documentHash,
+        bytes32 documentHash,
+        bytes32 certifiedHash,
+        address indexed issuer,
+        uint256 timestamp,
+        uint256 validFrom,
+        uint256 validUntil
+    );
+    
+    event DocumentRevoked(
+        string certificateNumber,
+        RevocationReason reason,
+        uint256 timestamp
+    );
+    
+    event BatchDocumentRevoked(
+        bytes32 indexed root,
+        string certificateNumber,
+        RevocationReason reason,
+        uint256 timestamp
+    );
+    
+    event DocumentAmended(
+        string previousCertificateNumber,
+        string certificateNumber,
+        uint256 timestamp
+    );
+    
+    event BatchAnchored(
+        bytes32 indexed root,
+        address indexed issuer,
+        uint256 size,
         uint256 timestamp
     );
     
+    event IssuerAdded(address indexed issuer, string name);
+    event IssuerRemoved(address indexed issuer);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can perform this action");
+        _;
+    }
+    
+    modifier onlyIssuer() {
+        require(issuers[msg.sender].active, "Only active issuers can perform this action");
+        _;
+    }
+    
+    constructor(string memory _ownerIssuerName) {
+        owner = msg.sender;
+        _setIssuer(msg.sender, _ownerIssuerName);
+    }
+    
+    function transferOwnership(address _newOwner) public onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+    
+    function addIssuer(address _issuer, string memory _name) public onlyOwner {
+        require(_issuer != address(0), "Issuer is the zero address");
+        require(bytes(_name).length > 0, "Issuer name required");
+        require(!issuers[_issuer].active, "Issuer already active");
+        
+        _setIssuer(_issuer, _name);
+    }
+    
+    function removeIssuer(address _issuer) public onlyOwner {
+        require(issuers[_issuer].active, "Issuer is not active");
+        
+        issuers[_issuer].active = false;
+        
+        emit IssuerRemoved(_issuer);
+    }
+    
+    function getIssuer(address _issuer) public view returns (string memory, bool) {
+        Issuer memory issuer = issuers[_issuer];
+        return (issuer.name, issuer.active);
+    }
+    
+    function getIssuers() public view returns (address[] memory) {
+        return issuerAddresses;
+    }
+    
+    function _setIssuer(address _issuer, string memory _name) private {
+        if (!issuers[_issuer].exists) {
+            issuerAddresses.push(_issuer);
+        }
+        
+        issuers[_issuer] = Issuer({
+            name: _name,
+            active: true,
+            exists: true
+        });
+        
+        emit IssuerAdded(_issuer, _name);
+    }
+    
     function registerDocument(
-        string memory _certificateNumber,
-        string memory _documentHash
-    ) public {
-        require(!documents[_certificateNumber].exists, "Certificate number already exists");
+        string calldata _certificateNumber,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) public onlyIssuer {
+        _registerDocument(_certificateNumber, _documentHash, _certifiedHash, _validFrom, _validUntil);
+    }
+    
+    // Register a corrected version of a certificate; the previous version is
+    // marked superseded and points to the new one
+    function amendDocument(
+        string calldata _previousCertificateNumber,
+        string calldata _certificateNumber,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) public onlyIssuer {
+        bytes32 previousId = keccak256(bytes(_previousCertificateNumber));
+        address previousIssuer = documents[previousId].issuer;
+        require(previousIssuer != address(0), "Previous certificate does not exist");
+        require(
+            msg.sender == owner || msg.sender == previousIssuer,
+            "Only owner or issuing issuer can amend"
+        );
+        require(bytes(supersededBy[previousId]).length == 0, "Certificate already superseded");
+        require(revocations[previousId].reason == RevocationReason.None, "Certificate is revoked");
+        
+        bytes32 certificateId = _registerDocument(_certificateNumber, _documentHash, _certifiedHash, _validFrom, _validUntil);
         
-        documents[_certificateNumber] = Document({
-            certificateNumber: _certificateNumber,
+        previousVersions[certificateId] = _previousCertificateNumber;
+        supersededBy[previousId] = _certificateNumber;
+        
+        emit DocumentAmended(_previousCertificateNumber, _certificateNumber, block.timestamp);
+    }
+    
+    // Previous and next version of a certificate (empty when there is none)
+    function getVersionLinks(bytes32 _certificateId)
+        public
+        view
+        returns (string memory, string memory)
+    {
+        return (previousVersions[_certificateId], supersededBy[_certificateId]);
+    }
+    
+    function _registerDocument(
+        string calldata _certificateNumber,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) private returns (bytes32) {
+        bytes32 certificateId = keccak256(bytes(_certificateNumber));
+        require(documents[certificateId].issuer == address(0), "Certificate number already exists");
+        require(_documentHash != bytes32(0), "Document hash required");
+        require(_validUntil == 0 || _validUntil > _validFrom, "Validity window ends before it starts");
+        
+        documents[certificateId] = Document({
             documentHash: _documentHash,
-            timestamp: block.timestamp,
-            exists: true
+            certifiedHash: _certifiedHash,
+            issuer: msg.sender,
+            timestamp: uint64(block.timestamp),
+            validFrom: _validFrom,
+            validUntil: _validUntil
+        });
+        
+        emit DocumentRegistered(
+            _certificateNumber,
+            _documentHash,
+            _certifiedHash,
+            msg.sender,
+            block.timestamp,
+            _validFrom,
+            _validUntil
+        );
+        
+        return certificateId;
+    }
+    
+    function anchorBatch(bytes32 _root, uint32 _size) public onlyIssuer {
+        require(_root != bytes32(0), "Batch root required");
+        require(_size > 0, "Batch must not be empty");
+        require(batches[_root].issuer == address(0), "Batch already anchored");
+        
+        batches[_root] = Batch({
+            issuer: msg.sender,
+            timestamp: uint64(block.timestamp),
+            size: _size
         });
         
-        emit DocumentRegistered(_certificateNumber, _documentHash, block.timestamp);
+        emit BatchAnchored(_root, msg.sender, _size, block.timestamp);
+    }
+    
+    function revokeDocument(
+        string calldata _certificateNumber,
+        RevocationReason _reason
+    ) public {
+        bytes32 certificateId = keccak256(bytes(_certificateNumber));
+        address issuer = documents[certificateId].issuer;
+        require(issuer != address(0), "Certificate does not exist");
+        
+        _requireRevoker(issuer);
+        _storeRevocation(revocations[certificateId], _reason);
+        
+        emit DocumentRevoked(_certificateNumber, _reason, block.timestamp);
+    }
+    
+    // Batch certificates are never written to documents; the leaf and its
+    // proof show the certificate is part of the batch being revoked from
+    function revokeBatchDocument(
+        bytes32 _root,
+        bytes32[] calldata _proof,
+        string calldata _certificateNumber,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil,
+        RevocationReason _reason
+    ) public {
+        address issuer = batches[_root].issuer;
+        require(issuer != address(0), "Batch does not exist");
+        
+        bytes32 certificateId = keccak256(bytes(_certificateNumber));
+        require(
+            _processProof(_proof, _batchLeaf(certificateId, _documentHash, _certifiedHash, _validFrom, _validUntil)) == _root,
+            "Certificate is not in the batch"
+        );
+        
+        _requireRevoker(issuer);
+        _storeRevocation(batchRevocations[_batchCertificateKey(_root, certificateId)], _reason);
+        
+        emit BatchDocumentRevoked(_root, _certificateNumber, _reason, block.timestamp);
+    }
+    
+    function _requireRevoker(address _issuer) private view {
+        require(
+            msg.sender == owner || (msg.sender == _issuer && issuers[msg.sender].active),
+            "Only owner or issuing issuer can revoke"
+        );
+    }
+    
+    function _storeRevocation(Revocation storage _revocation, RevocationReason _reason) private {
+        require(_revocation.reason == RevocationReason.None, "Certificate already revoked");
+        require(_reason != RevocationReason.None, "Revocation reason required");
+        
+        _revocation.reason = _reason;
+        _revocation.revokedAt = uint64(block.timestamp);
+    }
+    
+    function _batchCertificateKey(bytes32 _root, bytes32 _certificateId) private pure returns (bytes32) {
+        return keccak256(abi.encode(_root, _certificateId));
     }
     
     function verifyDocument(
-        string memory _certificateNumber,
-        string memory _documentHash
+        bytes32 _certificateId,
+        bytes32 _documentHash
+    ) public view returns (bool, uint256, ValidityStatus) {
+        Document storage doc = documents[_certificateId];
+        
+        if (doc.issuer == address(0)) {
+            return (false, 0, ValidityStatus.Valid);
+        }
+        
+        return (doc.documentHash == _documentHash, doc.timestamp, _validityStatus(doc.validFrom, doc.validUntil));
+    }
+    
+    function verifyCertifiedDocument(
+        bytes32 _certificateId,
+        bytes32 _certifiedHash
     ) public view returns (bool, uint256) {
-        Document memory doc = documents[_certificateNumber];
+        Document storage doc = documents[_certificateId];
         
-        if (!doc.exists) {
+        if (doc.issuer == address(0)) {
             return (false, 0);
         }
         
-        bool isValid = keccak256(abi.encodePacked(doc.documentHash)) == 
-                       keccak256(abi.encodePacked(_documentHash));
+        return (doc.certifiedHash == _certifiedHash, doc.timestamp);
+    }
+    
+    function verifyBatchDocument(
+        bytes32 _root,
+        bytes32[] calldata _proof,
+        bytes32 _certificateId,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) public view returns (bool, uint256, ValidityStatus) {
+        Batch memory batch = batches[_root];
+        
+        if (batch.issuer == address(0)) {
+            return (false, 0, ValidityStatus.Valid);
+        }
+        
+        bytes32 leaf = _batchLeaf(_certificateId, _documentHash, _certifiedHash, _validFrom, _validUntil);
+        bool isValid = _processProof(_proof, leaf) == _root;
         
-        return (isValid, doc.timestamp);
+        return (isValid, batch.timestamp, _validityStatus(_validFrom, _validUntil));
+    }
+    
+    function getBatch(bytes32 _root)
+        public
+        view
+        returns (address, string memory, uint256, uint256, bool)
+    {
+        Batch memory batch = batches[_root];
+        return (batch.issuer, issuers[batch.issuer].name, batch.size, batch.timestamp, batch.issuer != address(0));
     }
     
-    function getDocument(string memory _certificateNumber) 
+    function getDocument(bytes32 _certificateId) 
         public 
         view 
-        returns (string memory, string memory, uint256, bool) 
+        returns (bytes32, bytes32, address, string memory, uint256, bool) 
+    {
+        Document memory doc = documents[_certificateId];
+        return (
+            doc.documentHash,
+            doc.certifiedHash,
+            doc.issuer,
+            issuers[doc.issuer].name,
+            doc.timestamp,
+            doc.issuer != address(0)
+        );
+    }
+    
+    function getValidity(bytes32 _certificateId)
+        public
+        view
+        returns (uint256, uint256, ValidityStatus)
+    {
+        Document storage doc = documents[_certificateId];
+        return (doc.validFrom, doc.validUntil, _validityStatus(doc.validFrom, doc.validUntil));
+    }
+    
+    function _validityStatus(uint256 _validFrom, uint256 _validUntil) private view returns (ValidityStatus) {
+        if (_validFrom != 0 && block.timestamp < _validFrom) {
+            return ValidityStatus.NotYetValid;
+        }
+        
+        if (_validUntil != 0 && block.timestamp > _validUntil) {
+            return ValidityStatus.Expired;
+        }
+        
+        return ValidityStatus.Valid;
+    }
+    
+    // Must match hashLeaf in merkle.js. Documents are stamped before the tree
+    // is built, so the leaf also commits to the certified output.
+    function _batchLeaf(
+        bytes32 _certificateId,
+        bytes32 _documentHash,
+        bytes32 _certifiedHash,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(
+            _certificateId,
+            _documentHash,
+            _certifiedHash,
+            _validFrom,
+            _validUntil
+        ))));
+    }
+    
+    // Sorted-pair Merkle proof, matches hashPair in merkle.js
+    function _processProof(bytes32[] calldata _proof, bytes32 _leaf) private pure returns (bytes32) {
+        bytes32 computed = _leaf;
+        
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            computed = computed < sibling ?
+                keccak256(abi.encodePacked(computed, sibling)) :
+                keccak256(abi.encodePacked(sibling, computed));
+        }
+        
+        return computed;
+    }
+    
+    function getRevocation(bytes32 _certificateId)
+        public
+        view
+        returns (bool, RevocationReason, uint256)
+    {
+        Revocation memory revocation = revocations[_certificateId];
+        return (revocation.reason != RevocationReason.None, revocation.reason, revocation.revokedAt);
+    }
+    
+    function getBatchRevocation(bytes32 _root, bytes32 _certificateId)
+        public
+        view
+        returns (bool, RevocationReason, uint256)
     {
-        Document memory doc = documents[_certificateNumber];
-        return (doc.certificateNumber, doc.documentHash, doc.timestamp, doc.exists);
+        Revocation memory revocation = batchRevocations[_batchCertificateKey(_root, _certificateId)];
+        return (revocation.reason != RevocationReason.None, revocation.reason, revocation.revokedAt);
     }
 }
\ No newline at end of file
@@ -0,0 +1,413 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// The original string-keyed storage layout, replaced by DocumentVerification.
+// Only compiled as the baseline for scripts/gas-report.js.
+contract DocumentVerificationV1 {
+    enum RevocationReason {
+        None,
+        IssuedInError,
+        Invalidated,
+        Fraudulent,
+        Other
+    }
+    
+    enum ValidityStatus {
+        Valid,
+        NotYetValid,
+        Expired
+    }
+    
+    struct Revocation {
+        RevocationReason reason;
+        uint256 revokedAt;
+        bool revoked;
+    }
+    
+    struct Issuer {
+        string name;
+        bool active;
+        bool exists;
+    }
+    
+    struct Document {
+        string certificateNumber;
+        string documentHash;
+        string certifiedHash;
+        address issuer;
+        string issuerName;
+        uint256 timestamp;
+        uint256 validFrom;
+        uint256 validUntil;
+        bool exists;
+    }
+    
+    // Root of a Merkle tree of certificates anchored in one transaction
+    struct Batch {
+        address issuer;
+        string issuerName;
+        uint256 size;
+        uint256 timestamp;
+        bool exists;
+    }
+    
+    address public owner;
+    
+    mapping(string => Document) public documents;
+    mapping(string => Revocation) public revocations;
+    mapping(address => Issuer) public issuers;
+    mapping(bytes32 => Batch) public batches;
+    address[] private issuerAddresses;
+    
+    // Amendment links: the version a certificate corrects, and the one that replaced it
+    mapping(string => string) private previousVersions;
+    mapping(string => string) private supersededBy;
+    
+    event DocumentRegistered(
+        string certificateNumber,
+        string documentHash,
+        string certifiedHash,
+        address indexed issuer,
+        uint256 timestamp,
+        uint256 validFrom,
+        uint256 validUntil
+    );
+    
+    event DocumentRevoked(
+        string certificateNumber,
+        RevocationReason reason,
+        uint256 timestamp
+    );
+    
+    event DocumentAmended(
+        string previousCertificateNumber,
+        string certificateNumber,
+        uint256 timestamp
+    );
+    
+    event BatchAnchored(
+        bytes32 indexed root,
+        address indexed issuer,
+        uint256 size,
+        uint256 timestamp
+    );
+    
+    event IssuerAdded(address indexed issuer, string name);
+    event IssuerRemoved(address indexed issuer);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can perform this action");
+        _;
+    }
+    
+    modifier onlyIssuer() {
+        require(issuers[msg.sender].active, "Only active issuers can perform this action");
+        _;
+    }
+    
+    constructor(string memory _ownerIssuerName) {
+        owner = msg.sender;
+        _setIssuer(msg.sender, _ownerIssuerName);
+    }
+    
+    function transferOwnership(address _newOwner) public onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+    
+    function addIssuer(address _issuer, string memory _name) public onlyOwner {
+        require(_issuer != address(0), "Issuer is the zero address");
+        require(bytes(_name).length > 0, "Issuer name required");
+        require(!issuers[_issuer].active, "Issuer already active");
+        
+        _setIssuer(_issuer, _name);
+    }
+    
+    function removeIssuer(address _issuer) public onlyOwner {
+        require(issuers[_issuer].active, "Issuer is not active");
+        
+        issuers[_issuer].active = false;
+        
+        emit IssuerRemoved(_issuer);
+    }
+    
+    function getIssuer(address _issuer) public view returns (string memory, bool) {
+        Issuer memory issuer = issuers[_issuer];
+        return (issuer.name, issuer.active);
+    }
+    
+    function getIssuers() public view returns (address[] memory) {
+        return issuerAddresses;
+    }
+    
+    function _setIssuer(address _issuer, string memory _name) private {
+        if (!issuers[_issuer].exists) {
+            issuerAddresses.push(_issuer);
+        }
+        
+        issuers[_issuer] = Issuer({
+            name: _name,
+            active: true,
+            exists: true
+        });
+        
+        emit IssuerAdded(_issuer, _name);
+    }
+    
+    function registerDocument(
+        string memory _certificateNumber,
+        string memory _documentHash,
+        string memory _certifiedHash,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) public onlyIssuer {
+        _registerDocument(_certificateNumber, _documentHash, _certifiedHash, _validFrom, _validUntil);
+    }
+    
+    // Register a corrected version of a certificate; the previous version is
+    // marked superseded and points to the new one
+    function amendDocument(
+        string memory _previousCertificateNumber,
+        string memory _certificateNumber,
+        string memory _documentHash,
+        string memory _certifiedHash,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) public onlyIssuer {
+        Document memory previous = documents[_previousCertificateNumber];
+        require(previous.exists, "Previous certificate does not exist");
+        require(
+            msg.sender == owner || msg.sender == previous.issuer,
+            "Only owner or issuing issuer can amend"
+        );
+        require(bytes(supersededBy[_previousCertificateNumber]).length == 0, "Certificate already superseded");
+        require(!revocations[_previousCertificateNumber].revoked, "Certificate is revoked");
+        
+        _registerDocument(_certificateNumber, _documentHash, _certifiedHash, _validFrom, _validUntil);
+        
+        previousVersions[_certificateNumber] = _previousCertificateNumber;
+        supersededBy[_previousCertificateNumber] = _certificateNumber;
+        
+        emit DocumentAmended(_previousCertificateNumber, _certificateNumber, block.timestamp);
+    }
+    
+    // Previous and next version of a certificate (empty when there is none)
+    function getVersionLinks(string memory _certificateNumber)
+        public
+        view
+        returns (string memory, string memory)
+    {
+        return (previousVersions[_certificateNumber], supersededBy[_certificateNumber]);
+    }
+    
+    function _registerDocument(
+        string memory _certificateNumber,
+        string memory _documentHash,
+        string memory _certifiedHash,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) private {
+        require(!documents[_certificateNumber].exists, "Certificate number already exists");
+        require(_validUntil == 0 || _validUntil > _validFrom, "Validity window ends before it starts");
+        
+        documents[_certificateNumber] = Document({
+            certificateNumber: _certificateNumber,
+            documentHash: _documentHash,
+            certifiedHash: _certifiedHash,
+            issuer: msg.sender,
+            issuerName: issuers[msg.sender].name,
+            timestamp: block.timestamp,
+            validFrom: _validFrom,
+            validUntil: _validUntil,
+            exists: true
+        });
+        
+        emit DocumentRegistered(
+            _certificateNumber,
+            _documentHash,
+            _certifiedHash,
+            msg.sender,
+            block.timestamp,
+            _validFrom,
+            _validUntil
+        );
+    }
+    
+    function anchorBatch(bytes32 _root, uint256 _size) public onlyIssuer {
+        require(_root != bytes32(0), "Batch root required");
+        require(_size > 0, "Batch must not be empty");
+        require(!batches[_root].exists, "Batch already anchored");
+        
+        batches[_root] = Batch({
+            issuer: msg.sender,
+            issuerName: issuers[msg.sender].name,
+            size: _size,
+            timestamp: block.timestamp,
+            exists: true
+        });
+        
+        emit BatchAnchored(_root, msg.sender, _size, block.timestamp);
+    }
+    
+    function revokeDocument(
+        string memory _certificateNumber,
+        RevocationReason _reason
+    ) public {
+        Document memory doc = documents[_certificateNumber];
+        require(doc.exists, "Certificate does not exist");
+        require(
+            msg.sender == owner || (msg.sender == doc.issuer && issuers[msg.sender].active),
+            "Only owner or issuing issuer can revoke"
+        );
+        require(!revocations[_certificateNumber].revoked, "Certificate already revoked");
+        require(_reason != RevocationReason.None, "Revocation reason required");
+        
+        revocations[_certificateNumber] = Revocation({
+            reason: _reason,
+            revokedAt: block.timestamp,
+            revoked: true
+        });
+        
+        emit DocumentRevoked(_certificateNumber, _reason, block.timestamp);
+    }
+    
+    function verifyDocument(
+        string memory _certificateNumber,
+        string memory _documentHash
+    ) public view returns (bool, uint256, ValidityStatus) {
+        Document memory doc = documents[_certificateNumber];
+        
+        if (!doc.exists) {
+            return (false, 0, ValidityStatus.Valid);
+        }
+        
+        bool isValid = keccak256(abi.encodePacked(doc.documentHash)) == 
+                       keccak256(abi.encodePacked(_documentHash));
+        
+        return (isValid, doc.timestamp, _validityStatus(doc.validFrom, doc.validUntil));
+    }
+    
+    function verifyCertifiedDocument(
+        string memory _certificateNumber,
+        string memory _certifiedHash
+    ) public view returns (bool, uint256) {
+        Document memory doc = documents[_certificateNumber];
+        
+        if (!doc.exists) {
+            return (false, 0);
+        }
+        
+        bool isValid = keccak256(abi.encodePacked(doc.certifiedHash)) == 
+                       keccak256(abi.encodePacked(_certifiedHash));
+        
+        return (isValid, doc.timestamp);
+    }
+    
+    function verifyBatchDocument(
+        bytes32 _root,
+        bytes32[] memory _proof,
+        string memory _certificateNumber,
+        string memory _documentHash,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) public view returns (bool, uint256, ValidityStatus) {
+        Batch memory batch = batches[_root];
+        
+        if (!batch.exists) {
+            return (false, 0, ValidityStatus.Valid);
+        }
+        
+        bytes32 leaf = _batchLeaf(_certificateNumber, _documentHash, _validFrom, _validUntil);
+        bool isValid = _processProof(_proof, leaf) == _root;
+        
+        return (isValid, batch.timestamp, _validityStatus(_validFrom, _validUntil));
+    }
+    
+    function getBatch(bytes32 _root)
+        public
+        view
+        returns (address, string memory, uint256, uint256, bool)
+    {
+        Batch memory batch = batches[_root];
+        return (batch.issuer, batch.issuerName, batch.size, batch.timestamp, batch.exists);
+    }
+    
+    function getDocument(string memory _certificateNumber) 
+        public 
+        view 
+        returns (string memory, string memory, string memory, address, string memory, uint256, bool) 
+    {
+        Document memory doc = documents[_certificateNumber];
+        return (
+            doc.certificateNumber,
+            doc.documentHash,
+            doc.certifiedHash,
+            doc.issuer,
+            doc.issuerName,
+            doc.timestamp,
+            doc.exists
+        );
+    }
+    
+    function getValidity(string memory _certificateNumber)
+        public
+        view
+        returns (uint256, uint256, ValidityStatus)
+    {
+        Document memory doc = documents[_certificateNumber];
+        return (doc.validFrom, doc.validUntil, _validityStatus(doc.validFrom, doc.validUntil));
+    }
+    
+    function _validityStatus(uint256 _validFrom, uint256 _validUntil) private view returns (ValidityStatus) {
+        if (_validFrom != 0 && block.timestamp < _validFrom) {
+            return ValidityStatus.NotYetValid;
+        }
+        
+        if (_validUntil != 0 && block.timestamp > _validUntil) {
+            return ValidityStatus.Expired;
+        }
+        
+        return ValidityStatus.Valid;
+    }
+    
+    // Must match hashLeaf in merkle.js
+    function _batchLeaf(
+        string memory _certificateNumber,
+        string memory _documentHash,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(
+            _certificateNumber,
+            _documentHash,
+            _validFrom,
+            _validUntil
+        ))));
+    }
+    
+    // Sorted-pair Merkle proof, matches hashPair in merkle.js
+    function _processProof(bytes32[] memory _proof, bytes32 _leaf) private pure returns (bytes32) {
+        bytes32 computed = _leaf;
+        
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            computed = computed < sibling ?
+                keccak256(abi.encodePacked(computed, sibling)) :
+                keccak256(abi.encodePacked(sibling, computed));
+        }
+        
+        return computed;
+    }
+    
+    function getRevocation(string memory _certificateNumber)
+        public
+        view
+        returns (bool, RevocationReason, uint256)
+    {
+        Revocation memory revocation = revocations[_certificateNumber];
+        return (revocation.revoked, revocation.reason, revocation.revokedAt);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,238 @@
+const { ethers } = require("ethers");
+
+const FORMATS = ['vc', 'openbadge'];
+
+const PROOF_TYPE = 'EthereumEip712Signature2021';
+const PRIMARY_TYPE = 'VerifiableCredential';
+
+const CONTEXTS = {
+  vc: [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://w3id.org/security/suites/eip712sig-2021/v1'
+  ],
+  openbadge: [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json',
+    'https://w3id.org/security/suites/eip712sig-2021/v1'
+  ]
+};
+
+// Issuers are identified by their signing account: did:pkh:eip155:<chainId>:<address>
+function getIssuerDid(chainId, address) {
+  return `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+}
+
+function parseIssuerDid(did) {
+  const match = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/.exec(did || '');
+  if (!match) return null;
+  return { chainId: Number(match[1]), address: ethers.getAddress(match[2]) };
+}
+
+function toISODate(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Drop null/undefined members so every signed field has a value
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Private certificates anchor a salted commitment, not the file's SHA-256
+function getHashAlgorithm(data) {
+  return data.private ? 'sha256-salted-commitment' : 'sha256';
+}
+
+// The on-chain registration, shared by both formats. Verification reads the
+// certificate number and document hash from here.
+function buildAnchor(data) {
+  return compact({
+    id: data.verificationUrl,
+    type: ['Evidence', 'BlockchainAnchor'],
+    name: 'Blockchain registration',
+    certificateNumber: data.certificateNumber,
+    documentHash: data.documentHash,
+    certifiedHash: data.certifiedHash || null,
+    hashAlgorithm: getHashAlgorithm(data),
+    chainId: data.chainId,
+    contractAddress: data.contractAddress,
+    transactionHash: data.txHash || null,
+    blockNumber: data.blockNumber || null,
+    merkleRoot: data.merkleRoot || null
+  });
+}
+
+// Unsigned credential for a certificate. data: certificateNumber, documentHash,
+// certifiedHash, private, recipient, title, issuer { address, name }, chainId,
+// contractAddress, txHash, blockNumber, merkleRoot, issuedAt/validFrom/validUntil
+// (unix seconds), id and verificationUrl.
+function buildCredential(format, data) {
+  const issuerId = getIssuerDid(data.chainId, data.issuer.address);
+  const name = data.title || `Certificate ${data.certificateNumber}`;
+  const common = {
+    '@context': CONTEXTS[format],
+    id: data.id,
+    name,
+    validFrom: toISODate(data.validFrom || data.issuedAt),
+    validUntil: data.validUntil ? toISODate(data.validUntil) : null
+  };
+
+  if (format === 'openbadge') {
+    return compact({
+      ...common,
+      type: ['VerifiableCredential', 'OpenBadgeCredential'],
+      issuer: { id: issuerId, type: ['Profile'], name: data.issuer.name },
+      credentialSubject: compact({
+        type: ['AchievementSubject'],
+        // Recipients have no DID, so they are named in plain text
+        identifier: data.recipient ? [{
+          type: 'IdentityObject',
+          identityHash: data.recipient,
+          identityType: 'name',
+          hashed: false
+        }] : null,
+        achievement: {
+          id: `${data.id}#achievement`,
+          type: ['Achievement'],
+          name,
+          description: `Certified document ${data.certificateNumber} issued by ${data.issuer.name}`,
+          criteria: { narrative: 'Document certified by the issuer and registered on the blockchain' }
+        }
+      }),
+      evidence: [buildAnchor(data)]
+    });
+  }
+
+  return compact({
+    ...common,
+    type: ['VerifiableCredential', 'DocumentCertificateCredential'],
+    issuer: { id: issuerId, name: data.issuer.name },
+    credentialSubject: compact({
+      certificateNumber: data.certificateNumber,
+      name: data.recipient || null,
+      title: data.title || null,
+      documentHash: data.documentHash,
+      hashAlgorithm: getHashAlgorithm(data)
+    }),
+    evidence: [buildAnchor(data)]
+  });
+}
+
+function structName(path) {
+  return path.map(key => key.replace(/[^a-zA-Z0-9]/g, '').replace(/^./, c => c.toUpperCase())).join('');
+}
+
+function getFieldType(value, path, types) {
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'bool';
+  if (Number.isInteger(value) && value >= 0) return 'uint256';
+
+  if (Array.isArray(value)) {
+    // Empty arrays have no element to go by; they sign as an empty string list
+    if (value.length === 0) return 'string[]';
+
+    const elementTypes = value.map(element => getFieldType(element, path, types));
+    if (elementTypes.some(type => type !== elementTypes[0])) {
+      throw new Error(`${path.join('.')} mixes value types`);
+    }
+    return `${elementTypes[0]}[]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const name = structName(path);
+    const fields = Object.keys(value).sort().map(key => ({
+      name: key,
+      type: getFieldType(value[key], [...path, key], types)
+    }));
+
+    if (types[name] && JSON.stringify(types[name]) !== JSON.stringify(fields)) {
+      throw new Error(`${path.join('.')} mixes object shapes`);
+    }
+    types[name] = fields;
+    return name;
+  }
+
+  throw new Error(`${path.join('.')} has an unsupported value`);
+}
+
+// EIP-712 types describing every member of the credential, so no field can be
+// left out of the signature. Verification derives them again from the
+// received credential instead of trusting the ones in the proof.
+function getTypes(credential) {
+  const types = {};
+  getFieldType(credential, [PRIMARY_TYPE], types);
+  return types;
+}
+
+function getDomain(chainId) {
+  return { name: 'DocumentVerification', version: '1', chainId };
+}
+
+// Sign with the issuer's Ethereum account (EIP-712 typed data over the
+// credential without its proof)
+async function signCredential(credential, signer, chainId) {
+  const types = getTypes(credential);
+  const domain = getDomain(chainId);
+  const proofValue = await signer.signTypedData(domain, types, credential);
+
+  return {
+    ...credential,
+    proof: {
+      type: PROOF_TYPE,
+      created: toISODate(Math.floor(Date.now() / 1000)),
+      proofPurpose: 'assertionMethod',
+      verificationMethod: `${credential.issuer.id}#blockchainAccountId`,
+      proofValue,
+      eip712: { domain, types, primaryType: PRIMARY_TYPE }
+    }
+  };
+}
+
+// Check the credential's proof. Returns { valid, signer, issuer, error }
+// where issuer is the parsed issuer DID.
+function verifyCredentialSignature(credential) {
+  const { proof, ...unsigned } = credential || {};
+
+  if (!proof || proof.type !== PROOF_TYPE) {
+    return { valid: false, error: `Unsupported or missing proof (expected ${PROOF_TYPE})` };
+  }
+
+  const issuerId = unsigned.issuer && (typeof unsigned.issuer === 'string' ? unsigned.issuer : unsigned.issuer.id);
+  const issuer = parseIssuerDid(issuerId);
+  if (!issuer) {
+    return { valid: false, error: 'Issuer must be a did:pkh:eip155 identifier' };
+  }
+
+  if (proof.verificationMethod && !proof.verificationMethod.startsWith(`${issuerId}#`)) {
+    return { valid: false, issuer, error: 'Proof was not made by the credential issuer' };
+  }
+
+  try {
+    const domain = getDomain(issuer.chainId);
+    const signer = ethers.verifyTypedData(domain, getTypes(unsigned), unsigned, proof.proofValue);
+
+    return {
+      valid: signer === issuer.address,
+      signer,
+      issuer,
+      error: signer === issuer.address ? null : 'Signature does not match the issuer'
+    };
+  } catch (error) {
+    return { valid: false, issuer, error: `Invalid signature: ${error.message}` };
+  }
+}
+
+// The blockchain registration the credential refers to
+function getCredentialAnchor(credential) {
+  const evidence = Array.isArray(credential.evidence) ? credential.evidence : [];
+  return evidence.find(entry => Array.isArray(entry.type) && entry.type.includes('BlockchainAnchor')) || null;
+}
+
+module.exports = {
+  FORMATS,
+  getIssuerDid,
+  parseIssuerDid,
+  buildCredential,
+  signCredential,
+  verifyCredentialSignature,
+  getCredentialAnchor
+};
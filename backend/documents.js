@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const qrscan = require('./qrscan');
+const office = require('./office');
+
+// Reading certificate data back out of certified files. Shared by the server
+// and the offline verifier (scripts/verify.js), so both hash and extract the
+// same way.
+
+function generateDocumentHash(filePath) {
+  const fileBuffer = fs.readFileSync(filePath);
+  const hashSum = crypto.createHash('sha256');
+  hashSum.update(fileBuffer);
+  return hashSum.digest('hex');
+}
+
+// Scanned QR content: a verification URL, or the JSON payload older
+// certificates carry. Returns the payload object or null.
+function parseQRData(qrData) {
+  const text = String(qrData).trim();
+
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const match = text.match(/\/verify\/([^/?#]+)#([0-9a-fA-F]+)(?::(0x[0-9a-fA-F]{64}))?$/);
+  if (!match) return null;
+
+  const payload = { cert: decodeURIComponent(match[1]), hash: match[2] };
+  if (match[3]) payload.root = match[3];
+  return payload;
+}
+
+// QR payload stored in the PDF title at certification time
+async function extractQRDataFromPDF(pdfPath) {
+  try {
+    const pdfBytes = fs.readFileSync(pdfPath);
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    // Try to get custom metadata where we store QR data
+    const metadata = pdfDoc.getTitle();
+
+    if (metadata && metadata.startsWith('QR:')) {
+      return metadata.substring(3);
+    }
+
+    return null;
+  } catch (error) {
+    console.error('QR extraction error:', error);
+    return null;
+  }
+}
+
+// QR payload from the footer of a certified text file
+function extractQRDataFromText(content) {
+  const match = content.match(/QR Data \(for verification\): ({.*})/);
+  return match ? match[1] : null;
+}
+
+// Photos and scans of a printed certificate. Their bytes never match the
+// certified file, so only the certificate data can be checked.
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+function isImageFile(fileName) {
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Certificate data of a certified file, by file type. Returns
+// { qrData, qrSource }: 'metadata' / 'footer' are written by us at
+// certification time, 'image' is a QR code found in the pixels.
+async function extractCertificateData(filePath, fileName = filePath) {
+  const ext = path.extname(fileName).toLowerCase();
+
+  if (ext === '.pdf') {
+    const qrData = await extractQRDataFromPDF(filePath);
+    if (qrData) return { qrData, qrSource: 'metadata' };
+
+    // Scanned or re-saved PDFs lose the metadata but still show the QR stamp
+    return { qrData: await qrscan.scanPDF(filePath), qrSource: 'image' };
+  }
+
+  if (ext === '.txt') {
+    const qrData = extractQRDataFromText(fs.readFileSync(filePath, 'utf8'));
+    return { qrData, qrSource: qrData ? 'footer' : null };
+  }
+
+  if (isImageFile(fileName)) {
+    // Photo or scan of a printed certificate
+    return { qrData: qrscan.scanImage(filePath), qrSource: 'image' };
+  }
+
+  if (ext === '.docx' || ext === '.odt') {
+    // Certificate data is kept in the document properties
+    return { qrData: await office.extractQRData(filePath), qrSource: 'metadata' };
+  }
+
+  return { qrData: null, qrSource: null };
+}
+
+module.exports = {
+  generateDocumentHash,
+  parseQRData,
+  extractQRDataFromPDF,
+  extractQRDataFromText,
+  extractCertificateData,
+  isImageFile
+};
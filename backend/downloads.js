@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Share links for certified documents and a log of every download. A link
+// token is "<linkId>.<expiresAt>.<signature>", signed with HMAC-SHA256 so it
+// can't be forged or have its expiry extended; links can also be revoked
+// before they expire. Links live in a JSON file, downloads in a JSON-lines log.
+class DownloadManager {
+  constructor() {
+    this.filePath = null;
+    this.logPath = null;
+    this.secret = null;
+    this.links = new Map();
+  }
+
+  initialize(options = {}) {
+    try {
+      this.filePath = options.filePath || path.join(__dirname, 'data', 'share-links.json');
+      this.logPath = options.logPath || path.join(__dirname, 'data', 'downloads.jsonl');
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      let data = { links: [] };
+      if (fs.existsSync(this.filePath)) {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+
+      this.links = new Map(data.links.map(link => [link.id, link]));
+
+      // The secret comes from SHARE_LINK_SECRET and is never written to disk.
+      // Without it links are signed with a per-process secret and stop
+      // working when the server restarts.
+      this.secret = options.secret;
+      if (!this.secret) {
+        console.warn('⚠ SHARE_LINK_SECRET not set; share links will not survive a restart');
+        this.secret = crypto.randomBytes(32).toString('hex');
+      }
+      this.save();
+
+      console.log(`Share links loaded (${this.links.size} links)`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load share links:", error);
+      return false;
+    }
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = { links: Array.from(this.links.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  sign(linkId, certificateNumber, expiresAt) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${linkId}.${certificateNumber}.${expiresAt}`)
+      .digest('base64url');
+  }
+
+  // expiresAt in unix seconds. Returns the link record and its token.
+  createLink(certificateNumber, expiresAt, createdBy) {
+    const link = {
+      id: crypto.randomBytes(8).toString('hex'),
+      certificateNumber,
+      expiresAt,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      downloads: 0,
+      lastDownloadAt: null
+    };
+
+    this.links.set(link.id, link);
+    this.save();
+
+    const token = `${link.id}.${expiresAt}.${this.sign(link.id, certificateNumber, expiresAt)}`;
+    return { link, token };
+  }
+
+  listLinks(certificateNumber) {
+    return Array.from(this.links.values())
+      .filter(link => link.certificateNumber === certificateNumber);
+  }
+
+  revokeLink(certificateNumber, linkId, revokedBy) {
+    const link = this.links.get(linkId);
+    if (!link || link.certificateNumber !== certificateNumber) return null;
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date().toISOString();
+      link.revokedBy = revokedBy;
+      this.save();
+    }
+
+    return link;
+  }
+
+  // Returns { link } for a usable token, or { error } explaining why not
+  resolveToken(token) {
+    const [linkId, expires, signature] = (token || '').split('.');
+    const link = linkId ? this.links.get(linkId) : null;
+
+    if (!link || !signature || String(link.expiresAt) !== expires) {
+      return { error: 'Invalid share link' };
+    }
+
+    const expected = Buffer.from(this.sign(link.id, link.certificateNumber, link.expiresAt));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { error: 'Invalid share link' };
+    }
+
+    if (link.revokedAt) return { error: 'Share link has been revoked' };
+    if (link.expiresAt <= Math.floor(Date.now() / 1000)) return { error: 'Share link has expired' };
+
+    return { link };
+  }
+
+  // entry: { certificateNumber, via, account, linkId, ip, userAgent }
+  logDownload(entry) {
+    const record = { ...entry, downloadedAt: new Date().toISOString() };
+    fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+
+    const link = entry.linkId ? this.links.get(entry.linkId) : null;
+    if (link) {
+      link.downloads++;
+      link.lastDownloadAt = record.downloadedAt;
+      this.save();
+    }
+  }
+
+  getDownloads(certificateNumber) {
+    if (!fs.existsSync(this.logPath)) return [];
+
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.certificateNumber === certificateNumber);
+  }
+}
+
+module.exports = new DownloadManager();
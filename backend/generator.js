@@ -0,0 +1,158 @@
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const stamp = require('./stamp');
+
+// Room kept free at the bottom of the page for the QR stamp
+const STAMP_SPACE = 110;
+
+function getPageSize(name) {
+  const [size, orientation] = name.split('-');
+  const [width, height] = PageSizes[size];
+  return orientation === 'landscape' ? [height, width] : [width, height];
+}
+
+// Break text into lines no wider than maxWidth
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Render a certificate (diploma, course completion...) from recipient data,
+// laid out by the template's certificate section. values fill the
+// {placeholders}: recipient, title, issuerName, issueDate and any extra
+// fields. Returns the PDF bytes, still without the QR stamp.
+async function renderCertificate(template, values) {
+  const { certificate, colors } = template;
+  const pdfDoc = await PDFDocument.create();
+  const [width, height] = getPageSize(certificate.pageSize);
+  const page = pdfDoc.addPage([width, height]);
+
+  const fonts = {
+    regular: await stamp.embedFont(pdfDoc, template.fonts.regular),
+    bold: await stamp.embedFont(pdfDoc, template.fonts.bold)
+  };
+
+  const text = {
+    heading: stamp.fillLine(certificate.heading, values),
+    subheading: stamp.fillLine(certificate.subheading, values),
+    recipient: values.recipient,
+    body: stamp.fillLine(certificate.body, values),
+    lines: certificate.lines.map(line => stamp.fillLine(line, values)).filter(Boolean),
+    date: stamp.fillLine(certificate.date, values),
+    signature: stamp.fillLine(certificate.signature, values)
+  };
+
+  stamp.checkEncodable(fonts.bold, template.fonts.bold, [text.heading, text.recipient].filter(Boolean));
+  stamp.checkEncodable(fonts.regular, template.fonts.regular,
+    [text.subheading, text.body, ...text.lines, text.date, text.signature].filter(Boolean));
+
+  pdfDoc.setProducer('Document Verification');
+  pdfDoc.setCreationDate(new Date());
+
+  // Double border
+  page.drawRectangle({
+    x: 20,
+    y: 20,
+    width: width - 40,
+    height: height - 40,
+    borderColor: stamp.hexToRgb(colors.heading),
+    borderWidth: 3,
+  });
+  page.drawRectangle({
+    x: 30,
+    y: 30,
+    width: width - 60,
+    height: height - 60,
+    borderColor: stamp.hexToRgb(colors.border),
+    borderWidth: 1,
+  });
+
+  const maxTextWidth = width - 160;
+  let y = height - 70;
+
+  if (template.logo) {
+    const logo = await stamp.embedImage(pdfDoc, template.logo);
+    const logoHeight = template.logoSize * 1.5;
+    const logoWidth = logo.width * logoHeight / logo.height;
+    page.drawImage(logo, { x: (width - logoWidth) / 2, y: y - logoHeight, width: logoWidth, height: logoHeight });
+    y -= logoHeight + 20;
+  }
+
+  if (text.heading) {
+    y -= 34;
+    stamp.drawCentered(page, text.heading, y, 34, fonts.bold, stamp.hexToRgb(colors.heading));
+    y -= 40;
+  }
+
+  if (text.subheading) {
+    stamp.drawCentered(page, text.subheading, y, 14, fonts.regular, stamp.hexToRgb(colors.details));
+    y -= 46;
+  }
+
+  // Recipient name, shrunk to fit long names
+  let nameSize = 30;
+  while (nameSize > 14 && fonts.bold.widthOfTextAtSize(text.recipient, nameSize) > maxTextWidth) nameSize -= 2;
+  stamp.drawCentered(page, text.recipient, y, nameSize, fonts.bold, stamp.hexToRgb(colors.text));
+  page.drawLine({
+    start: { x: width / 2 - 180, y: y - 10 },
+    end: { x: width / 2 + 180, y: y - 10 },
+    thickness: 1,
+    color: stamp.hexToRgb(colors.border),
+  });
+  y -= 42;
+
+  const bodyLines = text.body ? wrapText(text.body, fonts.regular, 14, maxTextWidth) : [];
+  for (const line of bodyLines.concat(text.lines)) {
+    stamp.drawCentered(page, line, y, 14, fonts.regular, stamp.hexToRgb(colors.details));
+    y -= 22;
+  }
+
+  // Date on the left, issuer signature line on the right, above the stamp area
+  const footerY = STAMP_SPACE + 20;
+
+  if (text.date) {
+    page.drawText(text.date, {
+      x: 80,
+      y: footerY,
+      size: 12,
+      font: fonts.regular,
+      color: stamp.hexToRgb(colors.text),
+    });
+  }
+
+  if (text.signature) {
+    const signatureWidth = Math.max(200, fonts.regular.widthOfTextAtSize(text.signature, 12));
+    const signatureX = width - 80 - signatureWidth;
+    page.drawLine({
+      start: { x: signatureX, y: footerY + 18 },
+      end: { x: signatureX + signatureWidth, y: footerY + 18 },
+      thickness: 1,
+      color: stamp.hexToRgb(colors.text),
+    });
+    page.drawText(text.signature, {
+      x: signatureX + (signatureWidth - fonts.regular.widthOfTextAtSize(text.signature, 12)) / 2,
+      y: footerY,
+      size: 12,
+      font: fonts.regular,
+      color: stamp.hexToRgb(colors.text),
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+module.exports = {
+  renderCertificate
+};
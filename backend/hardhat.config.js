@@ -1,16 +1,29 @@
 require("@nomicfoundation/hardhat-toolbox");
+const config = require("./config");
+
+const networks = {
+  localhost: {
+    url: "http://127.0.0.1:8545"
+  }
+};
+
+// The network named by NETWORK (e.g. sepolia) uses RPC_URL, CHAIN_ID and
+// PRIVATE_KEY from the environment, so `npm run deploy` can target it
+if (!["localhost", "hardhat"].includes(config.network)) {
+  networks[config.network] = {
+    url: config.rpcUrl,
+    chainId: config.chainId || undefined,
+    accounts: config.privateKey ? [config.privateKey] : []
+  };
+}
 
 module.exports = {
   solidity: "0.8.19",
-  networks: {
-    localhost: {
-      url: "http://127.0.0.1:8545"
-    }
-  },
+  networks,
   paths: {
     sources: "./contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const { fromBytes32Hash } = require('./blockchain');
+
+const INDEXED_EVENTS = [
+  'DocumentRegistered',
+  'DocumentRevoked',
+  'DocumentAmended',
+  'BatchAnchored',
+  'BatchDocumentRevoked',
+  'IssuerAdded',
+  'IssuerRemoved'
+];
+
+// Blocks per eth_getLogs call, and checkpoints kept for reorg detection
+const BLOCK_CHUNK_SIZE = 2000;
+const CHECKPOINT_HISTORY = 128;
+
+// Follows the contract's events from its deployment block into a local JSON
+// store, so every certificate ever anchored can be listed and audited - including
+// ones created by other servers or scripts. Only blocks with `confirmations`
+// blocks on top are indexed; if a reorg still replaces an indexed block, the
+// index rewinds to the last checkpoint that is still canonical.
+class ChainIndexer {
+  constructor() {
+    this.filePath = null;
+    this.provider = null;
+    this.contract = null;
+    this.confirmations = 2;
+    this.pollInterval = 5000;
+    this.state = null;
+    this.timer = null;
+    this.syncing = false;
+    this.lastError = null;
+  }
+
+  async initialize(blockchainService, options = {}) {
+    try {
+      this.provider = blockchainService.provider;
+      this.contract = blockchainService.contract;
+      this.filePath = options.filePath || path.join(__dirname, 'data', 'chain-index.json');
+      this.confirmations = options.confirmations !== undefined ? options.confirmations : this.confirmations;
+      this.pollInterval = options.pollInterval || this.pollInterval;
+
+      const { chainId } = await this.provider.getNetwork();
+      const contractAddress = (await this.contract.getAddress()).toLowerCase();
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      if (fs.existsSync(this.filePath)) {
+        this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+
+      // A different chain or contract means the saved checkpoint is meaningless
+      if (!this.state || this.state.contractAddress !== contractAddress || this.state.chainId !== Number(chainId)) {
+        this.state = {
+          contractAddress,
+          chainId: Number(chainId),
+          deploymentBlock: await this.findDeploymentBlock(contractAddress, options.startBlock),
+          checkpoints: [],
+          events: []
+        };
+        this.save();
+      }
+
+      console.log(`Chain indexer ready (${this.state.events.length} events, from block ${this.state.deploymentBlock})`);
+      return true;
+    } catch (error) {
+      console.error("Failed to initialize chain indexer:", error);
+      return false;
+    }
+  }
+
+  // Binary search for the first block where the contract has code
+  async findDeploymentBlock(contractAddress, startBlock) {
+    if (startBlock !== undefined && startBlock !== null) return startBlock;
+
+    let low = 0;
+    let high = await this.provider.getBlockNumber();
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await this.provider.getCode(contractAddress, mid);
+
+      if (code && code !== '0x') {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low;
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  start() {
+    const poll = async () => {
+      await this.sync();
+      this.timer = setTimeout(poll, this.pollInterval);
+    };
+
+    poll();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  getCheckpoint() {
+    const { checkpoints } = this.state;
+    return checkpoints.length > 0 ? checkpoints[checkpoints.length - 1] : null;
+  }
+
+  // Index every confirmed block since the last checkpoint
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      await this.handleReorg();
+
+      const head = await this.provider.getBlockNumber();
+      const target = head - this.confirmations;
+      const checkpoint = this.getCheckpoint();
+      let fromBlock = checkpoint ? checkpoint.number + 1 : this.state.deploymentBlock;
+
+      while (fromBlock <= target) {
+        const toBlock = Math.min(fromBlock + BLOCK_CHUNK_SIZE - 1, target);
+        const events = await this.fetchEvents(fromBlock, toBlock);
+        const block = await this.provider.getBlock(toBlock);
+
+        this.state.events.push(...events);
+        this.state.checkpoints.push({ number: toBlock, hash: block.hash });
+        this.state.checkpoints = this.state.checkpoints.slice(-CHECKPOINT_HISTORY);
+        this.save();
+
+        if (events.length > 0) {
+          console.log(`✓ Indexed ${events.length} events from blocks ${fromBlock}-${toBlock}`);
+        }
+
+        fromBlock = toBlock + 1;
+      }
+
+      this.lastError = null;
+    } catch (error) {
+      console.error("Chain indexer sync error:", error.message);
+      this.lastError = error.message;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  // Rewind to the newest checkpoint whose block is still on the canonical chain
+  async handleReorg() {
+    const { checkpoints } = this.state;
+
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(checkpoints[i].number);
+
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i < checkpoints.length - 1) {
+          this.rewindTo(checkpoints[i].number);
+          this.state.checkpoints = checkpoints.slice(0, i + 1);
+          this.save();
+          console.warn(`⚠ Chain reorg detected - rewound index to block ${checkpoints[i].number}`);
+        }
+        return;
+      }
+    }
+
+    // Deeper than our checkpoint history: rebuild from scratch
+    if (checkpoints.length > 0) {
+      console.warn('⚠ Chain reorg deeper than checkpoint history - reindexing from deployment block');
+      this.state.checkpoints = [];
+      this.state.events = [];
+      this.save();
+    }
+  }
+
+  rewindTo(blockNumber) {
+    this.state.events = this.state.events.filter(event => event.blockNumber <= blockNumber);
+  }
+
+  async fetchEvents(fromBlock, toBlock) {
+    const logs = [];
+
+    for (const eventName of INDEXED_EVENTS) {
+      logs.push(...await this.contract.queryFilter(eventName, fromBlock, toBlock));
+    }
+
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    return logs.map(log => ({
+      event: log.fragment.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args: this.formatArgs(log)
+    }));
+  }
+
+  // Plain JSON copy of the named event arguments (BigInts become numbers)
+  formatArgs(log) {
+    const args = {};
+
+    log.fragment.inputs.forEach((input, i) => {
+      const value = log.args[i];
+      args[input.name] = typeof value === 'bigint' ? Number(value) : value;
+    });
+
+    return args;
+  }
+
+  // Current state of every certificate and batch, rebuilt from the event log
+  getState() {
+    const certificates = new Map();
+    const batches = new Map();
+    const issuers = new Map();
+
+    for (const { event, args, blockNumber, transactionHash } of this.state.events) {
+      if (event === 'DocumentRegistered') {
+        certificates.set(args.certificateNumber, {
+          certificateNumber: args.certificateNumber,
+          documentHash: fromBytes32Hash(args.documentHash),
+          certifiedHash: fromBytes32Hash(args.certifiedHash),
+          issuer: args.issuer,
+          timestamp: args.timestamp,
+          validFrom: args.validFrom,
+          validUntil: args.validUntil,
+          blockNumber,
+          txHash: transactionHash,
+          status: 'ACTIVE',
+          revocation: null,
+          previousVersion: null,
+          supersededBy: null
+        });
+      } else if (event === 'DocumentRevoked') {
+        const certificate = certificates.get(args.certificateNumber);
+        if (certificate) {
+          certificate.status = 'REVOKED';
+          certificate.revocation = { reasonCode: args.reason, revokedAt: args.timestamp, txHash: transactionHash };
+        }
+      } else if (event === 'DocumentAmended') {
+        const previous = certificates.get(args.previousCertificateNumber);
+        const amended = certificates.get(args.certificateNumber);
+        if (previous) {
+          previous.supersededBy = args.certificateNumber;
+          if (previous.status === 'ACTIVE') previous.status = 'SUPERSEDED';
+        }
+        if (amended) amended.previousVersion = args.previousCertificateNumber;
+      } else if (event === 'BatchAnchored') {
+        batches.set(args.root, {
+          root: args.root,
+          issuer: args.issuer,
+          size: args.size,
+          timestamp: args.timestamp,
+          blockNumber,
+          txHash: transactionHash,
+          // Revoked leaves by certificate number; they only apply within this batch
+          revocations: {}
+        });
+      } else if (event === 'BatchDocumentRevoked') {
+        const batch = batches.get(args.root);
+        if (batch) {
+          batch.revocations[args.certificateNumber] = { reasonCode: args.reason, revokedAt: args.timestamp, txHash: transactionHash };
+        }
+      } else if (event === 'IssuerAdded') {
+        issuers.set(args.issuer, { address: args.issuer, name: args.name, active: true });
+      } else if (event === 'IssuerRemoved') {
+        const issuer = issuers.get(args.issuer);
+        if (issuer) issuer.active = false;
+      }
+    }
+
+    return { certificates, batches, issuers };
+  }
+
+  // On-chain certificates whose original or certified file has this SHA-256 hash
+  findByHash(hash) {
+    const value = hash.toLowerCase();
+    return Array.from(this.getState().certificates.values())
+      .filter(certificate => certificate.documentHash === value || certificate.certifiedHash === value);
+  }
+
+  getStatus() {
+    const checkpoint = this.getCheckpoint();
+
+    return {
+      contractAddress: this.state.contractAddress,
+      chainId: this.state.chainId,
+      deploymentBlock: this.state.deploymentBlock,
+      indexedBlock: checkpoint ? checkpoint.number : null,
+      confirmations: this.confirmations,
+      events: this.state.events.length,
+      syncing: this.syncing,
+      lastError: this.lastError
+    };
+  }
+
+  // Compare on-chain certificates with local registry records
+  reconcile(registryRecords) {
+    const { certificates, batches } = this.getState();
+    const local = new Map(registryRecords.map(record => [record.certificateNumber, record]));
+
+    const onlyOnChain = [];
+    const mismatched = [];
+
+    for (const [certificateNumber, onChain] of certificates) {
+      const record = local.get(certificateNumber);
+
+      if (!record) {
+        onlyOnChain.push(onChain);
+        continue;
+      }
+
+      const differences = [];
+      if (record.documentHash !== onChain.documentHash) differences.push('documentHash');
+      if ((record.certifiedHash || '') !== onChain.certifiedHash) differences.push('certifiedHash');
+      if (record.txHash !== onChain.txHash) differences.push('txHash');
+      if (record.status !== onChain.status) differences.push('status');
+
+      if (differences.length > 0) {
+        mismatched.push({ certificateNumber, differences, registry: record, chain: onChain });
+      }
+    }
+
+    // Batch leaves are not individually visible on chain, so only check their
+    // root and whether the leaf was revoked within it
+    for (const record of registryRecords) {
+      const batch = record.batchRoot && batches.get(record.batchRoot);
+      if (!batch) continue;
+
+      const revoked = Boolean(batch.revocations[record.certificateNumber]);
+      if (revoked !== (record.status === 'REVOKED')) {
+        mismatched.push({
+          certificateNumber: record.certificateNumber,
+          differences: ['status'],
+          registry: record,
+          chain: { root: record.batchRoot, status: revoked ? 'REVOKED' : 'ACTIVE', revocation: batch.revocations[record.certificateNumber] || null }
+        });
+      }
+    }
+
+    // Records newer than the indexed block can't be judged yet
+    const indexedBlock = this.getStatus().indexedBlock;
+    const onlyInRegistry = registryRecords
+      .filter(record => indexedBlock !== null && record.blockNumber <= indexedBlock)
+      .filter(record => record.batchRoot ?
+        !batches.has(record.batchRoot) :
+        !certificates.has(record.certificateNumber));
+
+    return {
+      indexedBlock,
+      onChain: certificates.size,
+      inRegistry: registryRecords.length,
+      onlyOnChain,
+      onlyInRegistry,
+      mismatched
+    };
+  }
+}
+
+module.exports = new ChainIndexer();
@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+const { toCertificateId, toBytes32Hash } = require('./blockchain');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaf = keccak256(keccak256(abi.encode(certificateId, hash, certifiedHash,
+// validFrom, validUntil))) with the certificate id and hashes in their bytes32
+// contract form. Must match _batchLeaf in DocumentVerification.sol. Hashing
+// twice keeps a leaf from ever being confused with an inner node.
+function hashLeaf(certificateNumber, documentHash, certifiedHash, validFrom = 0, validUntil = 0) {
+  const encoded = abiCoder.encode(
+    ['bytes32', 'bytes32', 'bytes32', 'uint64', 'uint64'],
+    [toCertificateId(certificateNumber), toBytes32Hash(documentHash), toBytes32Hash(certifiedHash), validFrom, validUntil]
+  );
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// Inner nodes hash the sorted pair, so proofs don't need left/right flags
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ?
+    ethers.keccak256(ethers.concat([a, b])) :
+    ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Build every layer of the tree, leaves first. An odd node is carried up as is.
+function buildTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const layers = [leaves.slice()];
+
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+
+    layers.push(next);
+  }
+
+  return layers;
+}
+
+function getRoot(layers) {
+  return layers[layers.length - 1][0];
+}
+
+function getProof(layers, index) {
+  const proof = [];
+
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level];
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex]);
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+function verifyProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed === root;
+}
+
+module.exports = {
+  hashLeaf,
+  hashPair,
+  buildTree,
+  getRoot,
+  getProof,
+  verifyProof
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+
+// Name of the document property holding the QR payload, the Office
+// counterpart of the "QR:" title in certified PDFs
+const QR_PROPERTY = 'CertificateQR';
+const QR_IMAGE = 'certificate-qr.png';
+
+// Points to the units each format sizes images in
+const EMU_PER_POINT = 12700;
+const CM_PER_POINT = 2.54 / 72;
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+  })[c]);
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+// Declare a namespace on a document's root element when it isn't already
+function ensureNamespace(xml, rootTag, prefix, uri) {
+  if (xml.includes(`xmlns:${prefix}=`)) return xml;
+  return xml.replace(`<${rootTag}`, `<${rootTag} xmlns:${prefix}="${uri}"`);
+}
+
+// Insert before the last occurrence of marker
+function insertBeforeLast(xml, marker, content) {
+  const index = xml.lastIndexOf(marker);
+  if (index === -1) throw new Error(`Document is missing ${marker}`);
+  return xml.slice(0, index) + content + xml.slice(index);
+}
+
+async function loadPackage(inputPath, requiredPart) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(inputPath));
+  if (!zip.file(requiredPart)) {
+    throw new Error(`Not a valid document package (missing ${requiredPart})`);
+  }
+  return zip;
+}
+
+// --- DOCX (Office Open XML) ---
+
+const DOCX_NS = {
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+const CUSTOM_PROPERTIES_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties';
+const IMAGE_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+function docxRun(text, { bold = false, color = null, size = 9 } = {}) {
+  const properties = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color.slice(1).toUpperCase()}"/>` : '',
+    `<w:sz w:val="${size * 2}"/>`
+  ].join('');
+  return `<w:p><w:r><w:rPr>${properties}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function docxImage(relationshipId, size) {
+  const extent = Math.round(size * EMU_PER_POINT);
+  return '<w:p><w:r><w:drawing>' +
+    `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${extent}" cy="${extent}"/>` +
+    '<wp:docPr id="90001" name="Certificate QR"/>' +
+    '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<pic:nvPicPr><pic:cNvPr id="90001" name="${QR_IMAGE}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${extent}" cy="${extent}"/></a:xfrm>` +
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline>' +
+    '</w:drawing></w:r></w:p>';
+}
+
+function addRelationship(relsXml, id, type, target) {
+  if (relsXml.includes(`Id="${id}"`)) return relsXml;
+  return insertBeforeLast(relsXml, '</Relationships>', `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`);
+}
+
+// docProps/custom.xml with our properties replacing any earlier ones of the same name
+function buildCustomProperties(existingXml, properties) {
+  const names = Object.keys(properties);
+  const kept = (existingXml ? existingXml.match(/<property [\s\S]*?<\/property>/g) || [] : [])
+    .filter(property => !names.some(name => property.includes(`name="${name}"`)));
+
+  let pid = kept.reduce((max, property) => {
+    const match = property.match(/pid="(\d+)"/);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 1);
+
+  const added = Object.entries(properties).map(([name, value]) =>
+    `<property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="${++pid}" name="${name}">` +
+    `<vt:lpwstr>${escapeXml(value)}</vt:lpwstr></property>`
+  );
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" ' +
+    'xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">' +
+    kept.concat(added).join('') +
+    '</Properties>';
+}
+
+// Append a certificate section (QR code and wording) to the end of a Word
+// document and store the certificate in its custom document properties.
+// stamp: { qrBuffer, qrSize, text: { heading, certificateNumber, details, instructions }, colors, properties }
+async function certifyDocx(inputPath, outputPath, stamp) {
+  const zip = await loadPackage(inputPath, 'word/document.xml');
+  const relationshipId = 'rIdCertificateQR';
+
+  zip.file(`word/media/${QR_IMAGE}`, stamp.qrBuffer);
+
+  const relsPath = 'word/_rels/document.xml.rels';
+  const relsXml = zip.file(relsPath) ?
+    await zip.file(relsPath).async('string') :
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+  zip.file(relsPath, addRelationship(relsXml, relationshipId, IMAGE_RELATIONSHIP_TYPE, `media/${QR_IMAGE}`));
+
+  const { text, colors } = stamp;
+  const section = [
+    '<w:p><w:pPr><w:pBdr><w:top w:val="single" w:sz="6" w:space="1" w:color="CCCCCC"/></w:pBdr></w:pPr></w:p>',
+    docxImage(relationshipId, stamp.qrSize),
+    text.heading ? docxRun(text.heading, { bold: true, color: colors.heading, size: 10 }) : '',
+    text.certificateNumber ? docxRun(text.certificateNumber, { color: colors.text, size: 9 }) : '',
+    ...text.details.map(line => docxRun(line, { color: colors.details, size: 8 })),
+    text.instructions ? docxRun(text.instructions, { color: colors.note, size: 7 }) : ''
+  ].join('');
+
+  let documentXml = await zip.file('word/document.xml').async('string');
+  documentXml = ensureNamespace(documentXml, 'w:document', 'wp', DOCX_NS.wp);
+  documentXml = ensureNamespace(documentXml, 'w:document', 'r', DOCX_NS.r);
+  // The body's own section properties must stay last
+  const sectionProperties = documentXml.lastIndexOf('<w:sectPr');
+  const bodyLevel = sectionProperties !== -1 &&
+    /^<w:sectPr[\s\S]*?<\/w:sectPr>\s*<\/w:body>/.test(documentXml.slice(sectionProperties));
+  documentXml = bodyLevel ?
+    documentXml.slice(0, sectionProperties) + section + documentXml.slice(sectionProperties) :
+    insertBeforeLast(documentXml, '</w:body>', section);
+  zip.file('word/document.xml', documentXml);
+
+  const customPath = 'docProps/custom.xml';
+  const existingCustom = zip.file(customPath) ? await zip.file(customPath).async('string') : null;
+  zip.file(customPath, buildCustomProperties(existingCustom, stamp.properties));
+
+  let rootRels = await zip.file('_rels/.rels').async('string');
+  if (!rootRels.includes(CUSTOM_PROPERTIES_TYPE)) {
+    rootRels = addRelationship(rootRels, 'rIdCustomProperties', CUSTOM_PROPERTIES_TYPE, 'docProps/custom.xml');
+    zip.file('_rels/.rels', rootRels);
+  }
+
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+  if (!/<Default Extension="png"/i.test(contentTypes)) {
+    contentTypes = insertBeforeLast(contentTypes, '</Types>', '<Default Extension="png" ContentType="image/png"/>');
+  }
+  if (!contentTypes.includes('PartName="/docProps/custom.xml"')) {
+    contentTypes = insertBeforeLast(contentTypes, '</Types>',
+      '<Override PartName="/docProps/custom.xml" ContentType="application/vnd.openxmlformats-officedocument.custom-properties+xml"/>');
+  }
+  zip.file('[Content_Types].xml', contentTypes);
+
+  fs.writeFileSync(outputPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+}
+
+// --- ODT (OpenDocument Text) ---
+
+const ODF_NS = {
+  text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+  svg: 'urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0',
+  xlink: 'http://www.w3.org/1999/xlink',
+  style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+  fo: 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+  meta: 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0'
+};
+
+function odtStyle(name, { bold = false, color, size }) {
+  return `<style:style style:name="${name}" style:family="paragraph"><style:text-properties ` +
+    `${bold ? 'fo:font-weight="bold" ' : ''}fo:color="${color}" fo:font-size="${size}pt"/></style:style>`;
+}
+
+function odtParagraph(style, text) {
+  return `<text:p text:style-name="${style}">${escapeXml(text)}</text:p>`;
+}
+
+// The same certificate section for OpenDocument text, with the certificate in
+// user-defined metadata (File > Properties > Custom Properties)
+async function certifyOdt(inputPath, outputPath, stamp) {
+  const zip = await loadPackage(inputPath, 'content.xml');
+  const { text, colors } = stamp;
+  const size = `${(stamp.qrSize * CM_PER_POINT).toFixed(2)}cm`;
+
+  zip.file(`Pictures/${QR_IMAGE}`, stamp.qrBuffer);
+
+  const styles = [
+    odtStyle('CertificateHeading', { bold: true, color: colors.heading, size: 10 }),
+    odtStyle('CertificateNumber', { color: colors.text, size: 9 }),
+    odtStyle('CertificateDetails', { color: colors.details, size: 8 }),
+    odtStyle('CertificateNote', { color: colors.note, size: 7 })
+  ].join('');
+
+  const section = [
+    '<text:p/>',
+    `<text:p><draw:frame draw:name="CertificateQR" text:anchor-type="as-char" svg:width="${size}" svg:height="${size}">` +
+    `<draw:image xlink:href="Pictures/${QR_IMAGE}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/>` +
+    '</draw:frame></text:p>',
+    text.heading ? odtParagraph('CertificateHeading', text.heading) : '',
+    text.certificateNumber ? odtParagraph('CertificateNumber', text.certificateNumber) : '',
+    ...text.details.map(line => odtParagraph('CertificateDetails', line)),
+    text.instructions ? odtParagraph('CertificateNote', text.instructions) : ''
+  ].join('');
+
+  let contentXml = await zip.file('content.xml').async('string');
+  for (const prefix of ['text', 'draw', 'svg', 'xlink', 'style', 'fo']) {
+    contentXml = ensureNamespace(contentXml, 'office:document-content', prefix, ODF_NS[prefix]);
+  }
+  if (contentXml.includes('<office:automatic-styles/>')) {
+    contentXml = contentXml.replace('<office:automatic-styles/>', `<office:automatic-styles>${styles}</office:automatic-styles>`);
+  } else if (contentXml.includes('</office:automatic-styles>')) {
+    contentXml = insertBeforeLast(contentXml, '</office:automatic-styles>', styles);
+  } else {
+    contentXml = contentXml.replace('<office:body>', `<office:automatic-styles>${styles}</office:automatic-styles><office:body>`);
+  }
+  contentXml = insertBeforeLast(contentXml, '</office:text>', section);
+  zip.file('content.xml', contentXml);
+
+  const userDefined = Object.entries(stamp.properties).map(([name, value]) =>
+    `<meta:user-defined meta:name="${name}">${escapeXml(value)}</meta:user-defined>`
+  ).join('');
+  const names = Object.keys(stamp.properties);
+
+  let metaXml = zip.file('meta.xml') ?
+    await zip.file('meta.xml').async('string') :
+    '<?xml version="1.0" encoding="UTF-8"?>\n<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" office:version="1.2"><office:meta></office:meta></office:document-meta>';
+  metaXml = ensureNamespace(metaXml, 'office:document-meta', 'meta', ODF_NS.meta);
+  metaXml = metaXml.replace(/<meta:user-defined meta:name="([^"]+)"[^>]*>[\s\S]*?<\/meta:user-defined>/g,
+    (property, name) => names.includes(name) ? '' : property);
+  metaXml = metaXml.includes('<office:meta/>') ?
+    metaXml.replace('<office:meta/>', `<office:meta>${userDefined}</office:meta>`) :
+    insertBeforeLast(metaXml, '</office:meta>', userDefined);
+  zip.file('meta.xml', metaXml);
+
+  const manifestPath = 'META-INF/manifest.xml';
+  let manifest = await zip.file(manifestPath).async('string');
+  const entries = [
+    [`Pictures/${QR_IMAGE}`, 'image/png'],
+    ['meta.xml', 'text/xml']
+  ].filter(([file]) => !manifest.includes(`manifest:full-path="${file}"`))
+    .map(([file, type]) => `<manifest:file-entry manifest:full-path="${file}" manifest:media-type="${type}"/>`);
+  manifest = insertBeforeLast(manifest, '</manifest:manifest>', entries.join(''));
+  zip.file(manifestPath, manifest);
+
+  // The mimetype entry must stay first and uncompressed
+  const mimetype = zip.file('mimetype') ? await zip.file('mimetype').async('string') : 'application/vnd.oasis.opendocument.text';
+  zip.file('mimetype', mimetype, { compression: 'STORE' });
+
+  fs.writeFileSync(outputPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+}
+
+// QR payload stored in a certified DOCX/ODT, or null
+async function extractQRData(filePath) {
+  try {
+    const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+    let match = null;
+
+    if (zip.file('docProps/custom.xml')) {
+      const xml = await zip.file('docProps/custom.xml').async('string');
+      match = xml.match(new RegExp(`name="${QR_PROPERTY}"[^>]*>\\s*<vt:lpwstr>([\\s\\S]*?)</vt:lpwstr>`));
+    } else if (zip.file('meta.xml')) {
+      const xml = await zip.file('meta.xml').async('string');
+      match = xml.match(new RegExp(`<meta:user-defined meta:name="${QR_PROPERTY}"[^>]*>([\\s\\S]*?)</meta:user-defined>`));
+    }
+
+    return match ? unescapeXml(match[1]) : null;
+  } catch (error) {
+    console.error('Office document read error:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  QR_PROPERTY,
+  certifyDocx,
+  certifyOdt,
+  extractQRData
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+
+// Digest algorithms a signature may use, by OID
+const DIGESTS = {
+  [forge.pki.oids.sha256]: 'sha256',
+  [forge.pki.oids.sha384]: 'sha384',
+  [forge.pki.oids.sha512]: 'sha512',
+  [forge.pki.oids.sha1]: 'sha1'
+};
+
+function describeCertificate(cert) {
+  const field = (attributes, name) => {
+    const attribute = attributes.getField(name);
+    return attribute ? attribute.value : null;
+  };
+
+  return {
+    commonName: field(cert.subject, 'CN'),
+    organization: field(cert.subject, 'O'),
+    issuerCommonName: field(cert.issuer, 'CN'),
+    serialNumber: cert.serialNumber,
+    validFrom: cert.validity.notBefore.toISOString(),
+    validUntil: cert.validity.notAfter.toISOString(),
+    selfSigned: cert.isIssuer(cert),
+    fingerprint: forge.md.sha256.create()
+      .update(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes())
+      .digest().toHex()
+  };
+}
+
+// Embedded PDF digital signatures (PKCS#7 detached, as Adobe Reader expects)
+// over certified PDFs, using a key and certificate from a PKCS#12 file. Also
+// checks such signatures in uploaded PDFs. Signing is off unless a P12 file
+// is configured; verification always works.
+class PdfSigner {
+  constructor() {
+    this.enabled = false;
+    this.signer = null;
+    this.certificate = null;
+    this.caStore = null;
+    this.options = {};
+  }
+
+  initialize(options = {}) {
+    try {
+      this.options = options;
+
+      if (options.trustedCaPath) {
+        const pem = fs.readFileSync(options.trustedCaPath, 'utf8');
+        const certs = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+        this.caStore = forge.pki.createCaStore(certs.map(cert => forge.pki.certificateFromPem(cert)));
+      }
+
+      if (!options.p12Path) {
+        return true;
+      }
+
+      const p12Buffer = fs.readFileSync(options.p12Path);
+
+      // Open the bundle now so a wrong passphrase fails at startup, not on first upload
+      const p12 = forge.pkcs12.pkcs12FromAsn1(
+        forge.asn1.fromDer(p12Buffer.toString('binary')),
+        false,
+        options.passphrase || ''
+      );
+      const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+      const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+
+      if (keyBags.length === 0 || certBags.length === 0) {
+        throw new Error('PKCS#12 file must contain a private key and its certificate');
+      }
+
+      const key = keyBags[0].key;
+      const bag = certBags.find(candidate => candidate.cert.publicKey.n.equals(key.n));
+      if (!bag) {
+        throw new Error('No certificate in the PKCS#12 file matches its private key');
+      }
+
+      this.certificate = describeCertificate(bag.cert);
+      this.signer = new P12Signer(p12Buffer, { passphrase: options.passphrase || '' });
+      this.enabled = true;
+
+      console.log(`PDF signing enabled (${this.certificate.commonName}, valid until ${this.certificate.validUntil})`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load PDF signing certificate:", error.message);
+      return false;
+    }
+  }
+
+  // Sign a PDF file in place
+  async signFile(filePath) {
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+
+    pdflibAddPlaceholder({
+      pdfDoc,
+      reason: this.options.reason || 'Certified document',
+      contactInfo: this.options.contactInfo || '',
+      name: this.certificate.commonName || 'Document Verification',
+      location: this.options.location || ''
+    });
+
+    // The signature placeholder must not end up inside a compressed object stream
+    const withPlaceholder = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    const signed = await new SignPdf().sign(withPlaceholder, this.signer);
+
+    fs.writeFileSync(filePath, signed);
+    console.log(`✓ PDF signed: ${this.certificate.commonName}`);
+  }
+
+  // Check the last embedded signature of a PDF. Returns { signed: false } for
+  // unsigned files, otherwise whether the signature is valid, whether it still
+  // covers the whole file (anything appended afterwards is a change after
+  // signing), and who signed it.
+  verify(pdfBuffer) {
+    const text = pdfBuffer.toString('latin1');
+    const matches = Array.from(text.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g));
+
+    if (matches.length === 0) {
+      return { signed: false };
+    }
+
+    const byteRange = matches[matches.length - 1].slice(1, 5).map(Number);
+    const [start1, length1, start2, length2] = byteRange;
+
+    try {
+      if (start2 + length2 > pdfBuffer.length || start1 + length1 > start2) {
+        throw new Error('Signature byte range is outside the file');
+      }
+
+      // The gap between the two ranges is the hex-encoded signature, <...>
+      const contentsHex = text.substring(start1 + length1 + 1, start2 - 1).replace(/(00)+$/, '');
+      const asn1 = forge.asn1.fromDer(forge.util.hexToBytes(contentsHex), { parseAllBytes: false });
+      const message = forge.pkcs7.messageFromAsn1(asn1);
+      const { rawCapture } = message;
+
+      const signedContent = Buffer.concat([
+        pdfBuffer.subarray(start1, start1 + length1),
+        pdfBuffer.subarray(start2, start2 + length2)
+      ]);
+
+      const digestAlgorithm = DIGESTS[forge.asn1.derToOid(rawCapture.digestAlgorithm)];
+      if (!digestAlgorithm) {
+        throw new Error('Unsupported signature digest algorithm');
+      }
+
+      const attributes = rawCapture.authenticatedAttributes || [];
+      let messageDigest = null;
+      let signingTime = null;
+
+      for (const attribute of attributes) {
+        const oid = forge.asn1.derToOid(attribute.value[0].value);
+        const value = attribute.value[1].value[0];
+
+        if (oid === forge.pki.oids.messageDigest) {
+          messageDigest = forge.util.bytesToHex(value.value);
+        } else if (oid === forge.pki.oids.signingTime) {
+          signingTime = forge.asn1.utcTimeToDate(value.value).toISOString();
+        }
+      }
+
+      const contentDigest = crypto.createHash(digestAlgorithm).update(signedContent).digest('hex');
+      const digestMatches = messageDigest === contentDigest;
+
+      // The signature is over the DER-encoded SET of authenticated attributes
+      const serial = forge.util.bytesToHex(rawCapture.serial);
+      const signerCert = message.certificates.find(cert => cert.serialNumber === serial) ||
+        message.certificates[0];
+
+      const attributeSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attributes);
+      const md = forge.md[digestAlgorithm].create();
+      md.update(forge.asn1.toDer(attributeSet).getBytes());
+      const signatureValid = signerCert.publicKey.verify(md.digest().bytes(), rawCapture.signature);
+
+      const signer = describeCertificate(signerCert);
+
+      return {
+        signed: true,
+        valid: digestMatches && signatureValid,
+        digestMatches,
+        signatureValid,
+        coversWholeDocument: start1 === 0 && start2 + length2 === pdfBuffer.length,
+        modifiedAfterSigning: !digestMatches || start2 + length2 !== pdfBuffer.length,
+        signatureCount: matches.length,
+        signingTime,
+        signer,
+        signedByThisServer: Boolean(this.certificate) && this.certificate.fingerprint === signer.fingerprint,
+        trusted: this.isTrusted(message.certificates, signerCert)
+      };
+    } catch (error) {
+      return { signed: true, valid: false, modifiedAfterSigning: null, error: error.message };
+    }
+  }
+
+  // Chain check against PDF_SIGNING_TRUSTED_CA; null when no CA bundle is configured
+  isTrusted(certificates, signerCert) {
+    if (!this.caStore) return null;
+
+    const chain = [signerCert].concat(certificates.filter(cert => cert !== signerCert));
+
+    try {
+      return forge.pki.verifyCertificateChain(this.caStore, chain);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new PdfSigner();
@@ -0,0 +1,139 @@
+const { ethers } = require("ethers");
+
+// Block header fields in RLP order. Fields from later forks are only part of
+// the header when the block has them.
+const HEADER_FIELDS = [
+  ['parentHash', 'data'],
+  ['sha3Uncles', 'data'],
+  ['miner', 'data'],
+  ['stateRoot', 'data'],
+  ['transactionsRoot', 'data'],
+  ['receiptsRoot', 'data'],
+  ['logsBloom', 'data'],
+  ['difficulty', 'quantity'],
+  ['number', 'quantity'],
+  ['gasLimit', 'quantity'],
+  ['gasUsed', 'quantity'],
+  ['timestamp', 'quantity'],
+  ['extraData', 'data'],
+  ['mixHash', 'data'],
+  ['nonce', 'data'],
+  ['baseFeePerGas', 'quantity', 'london'],
+  ['withdrawalsRoot', 'data', 'shanghai'],
+  ['blobGasUsed', 'quantity', 'cancun'],
+  ['excessBlobGas', 'quantity', 'cancun'],
+  ['parentBeaconBlockRoot', 'data', 'cancun'],
+  ['requestsHash', 'data', 'prague']
+];
+
+// Integers are RLP-encoded big-endian without leading zeros (zero is empty)
+function quantity(value) {
+  const number = BigInt(value);
+  return number === 0n ? '0x' : ethers.toBeHex(number);
+}
+
+// Just the header fields of an eth_getBlockByNumber result
+function pickHeader(block) {
+  const header = { hash: block.hash };
+  for (const [name, , fork] of HEADER_FIELDS) {
+    if (block[name] !== undefined && block[name] !== null) header[name] = block[name];
+    else if (!fork) throw new Error(`Block header is missing ${name}`);
+  }
+  return header;
+}
+
+// keccak256 of the RLP-encoded header, i.e. the block hash
+function computeBlockHash(header) {
+  const fields = [];
+  for (const [name, kind, fork] of HEADER_FIELDS) {
+    if (header[name] === undefined || header[name] === null) {
+      if (!fork) throw new Error(`Block header is missing ${name}`);
+      continue;
+    }
+    fields.push(kind === 'quantity' ? quantity(header[name]) : header[name]);
+  }
+  return ethers.keccak256(ethers.encodeRlp(fields));
+}
+
+// Consensus encoding of a transaction receipt (EIP-2718 typed receipts
+// are prefixed with their type byte)
+function encodeReceipt(receipt) {
+  const logs = receipt.logs.map(log => [log.address, log.topics, log.data]);
+  const payload = ethers.encodeRlp([
+    quantity(receipt.status),
+    quantity(receipt.cumulativeGasUsed),
+    receipt.logsBloom,
+    logs
+  ]);
+
+  const type = Number(receipt.type || 0);
+  return type === 0 ? payload : ethers.concat([ethers.toBeHex(type, 1), payload]);
+}
+
+function toNibbles(bytes) {
+  const nibbles = [];
+  for (const byte of ethers.getBytes(bytes)) nibbles.push(byte >> 4, byte & 15);
+  return nibbles;
+}
+
+// Hex-prefix encoding of a key path, flagging leaves and odd lengths
+function encodePath(nibbles, leaf) {
+  const flag = leaf ? 2 : 0;
+  const padded = nibbles.length % 2 === 1 ? [flag + 1, ...nibbles] : [flag, 0, ...nibbles];
+  const bytes = [];
+  for (let i = 0; i < padded.length; i += 2) bytes.push(padded[i] * 16 + padded[i + 1]);
+  return ethers.hexlify(new Uint8Array(bytes));
+}
+
+// Child reference: nodes under 32 bytes are embedded, larger ones hashed
+function reference(node) {
+  const encoded = ethers.encodeRlp(node);
+  return ethers.dataLength(encoded) < 32 ? node : ethers.keccak256(encoded);
+}
+
+function buildNode(entries, depth) {
+  if (entries.length === 1) {
+    return [encodePath(entries[0].key.slice(depth), true), entries[0].value];
+  }
+
+  // Shared path below this depth becomes an extension node
+  let shared = 0;
+  while (entries.every(entry => entry.key.length > depth + shared && entry.key[depth + shared] === entries[0].key[depth + shared])) {
+    shared++;
+  }
+  if (shared > 0) {
+    return [encodePath(entries[0].key.slice(depth, depth + shared), false), reference(buildNode(entries, depth + shared))];
+  }
+
+  const branch = [];
+  for (let nibble = 0; nibble < 16; nibble++) {
+    const children = entries.filter(entry => entry.key[depth] === nibble);
+    branch.push(children.length > 0 ? reference(buildNode(children, depth + 1)) : '0x');
+  }
+  const terminal = entries.find(entry => entry.key.length === depth);
+  branch.push(terminal ? terminal.value : '0x');
+  return branch;
+}
+
+// Root of the Merkle Patricia trie of a block's receipts (keyed by the RLP of
+// their index), to compare with the header's receiptsRoot
+function computeReceiptsRoot(receipts) {
+  if (receipts.length === 0) return ethers.keccak256(ethers.encodeRlp('0x'));
+
+  const entries = receipts
+    .slice()
+    .sort((a, b) => Number(a.transactionIndex) - Number(b.transactionIndex))
+    .map((receipt, index) => ({
+      key: toNibbles(ethers.encodeRlp(quantity(index))),
+      value: encodeReceipt(receipt)
+    }));
+
+  return ethers.keccak256(ethers.encodeRlp(buildNode(entries, 0)));
+}
+
+module.exports = {
+  pickHeader,
+  computeBlockHash,
+  encodeReceipt,
+  computeReceiptsRoot
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const jsQR = require('jsqr');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Larger images are downsampled before decoding; phone photos are far bigger
+// than a QR code needs and jsQR's time grows with the pixel count
+const MAX_DECODE_PIXELS = 4 * 1024 * 1024;
+
+// PDF pages searched, and the render scales tried per page (1 = 72 dpi)
+const MAX_PDF_PAGES = 5;
+const PDF_RENDER_SCALES = [2, 4];
+
+let pdfjsPromise = null;
+
+// pdfjs-dist is ESM-only, so load it lazily through a dynamic import
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+// Box-filter an RGBA image down by an integer factor
+function downsample(image, factor) {
+  const width = Math.floor(image.width / factor);
+  const height = Math.floor(image.height / factor);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const area = factor * factor;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0, 0];
+
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) {
+          const i = ((y * factor + dy) * image.width + (x * factor + dx)) * 4;
+          for (let c = 0; c < 4; c++) sums[c] += image.data[i + c];
+        }
+      }
+
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) data[o + c] = sums[c] / area;
+    }
+  }
+
+  return { data, width, height };
+}
+
+// Decode a QR code from RGBA pixels ({ data, width, height }). Returns its text or null.
+function decodeImageData(image) {
+  const pixels = image.width * image.height;
+  if (pixels > MAX_DECODE_PIXELS) {
+    image = downsample(image, Math.ceil(Math.sqrt(pixels / MAX_DECODE_PIXELS)));
+  }
+
+  const data = image.data instanceof Uint8ClampedArray ?
+    image.data :
+    new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length);
+
+  const code = jsQR(data, image.width, image.height, { inversionAttempts: 'attemptBoth' });
+  return code && code.data ? code.data : null;
+}
+
+function readImage(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.png') {
+    return PNG.sync.read(buffer);
+  }
+
+  if (ext === '.jpg' || ext === '.jpeg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+  }
+
+  throw new Error(`Unsupported image type: ${ext}`);
+}
+
+// QR text from a PNG/JPG photo or scan, or null if none is found
+function scanImage(filePath) {
+  try {
+    return decodeImageData(readImage(filePath));
+  } catch (error) {
+    console.error('QR image scan error:', error.message);
+    return null;
+  }
+}
+
+// Render the first pages of a PDF and look for a QR code on each. Catches
+// scanned copies and PDFs re-saved without our title metadata.
+async function scanPDF(filePath) {
+  let pdf = null;
+
+  try {
+    const { getDocument } = await loadPdfjs();
+    const data = new Uint8Array(fs.readFileSync(filePath));
+    pdf = await getDocument({ data, disableFontFace: true, verbosity: 0 }).promise;
+
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, MAX_PDF_PAGES); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+
+      for (const scale of PDF_RENDER_SCALES) {
+        const viewport = page.getViewport({ scale });
+        const canvasAndContext = pdf.canvasFactory.create(viewport.width, viewport.height);
+
+        await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+
+        const { width, height } = canvasAndContext.canvas;
+        const image = canvasAndContext.context.getImageData(0, 0, width, height);
+        pdf.canvasFactory.destroy(canvasAndContext);
+
+        const text = decodeImageData({ data: image.data, width, height });
+        if (text) {
+          console.log(`✓ QR code found on page ${pageNumber} (render scale ${scale})`);
+          return text;
+        }
+      }
+
+      page.cleanup();
+    }
+
+    return null;
+  } catch (error) {
+    console.error('QR PDF scan error:', error.message);
+    return null;
+  } finally {
+    if (pdf) await pdf.destroy();
+  }
+}
+
+module.exports = {
+  decodeImageData,
+  scanImage,
+  scanPDF
+};
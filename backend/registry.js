@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields matched by the free-text query
+const SEARCH_FIELDS = [
+  'certificateNumber',
+  'originalFileName',
+  'certifiedFileName',
+  'recipient',
+  'title',
+  'documentHash',
+  'certifiedHash',
+  'txHash',
+  'batchRoot'
+];
+
+// Local record of every certificate this server has issued, kept in a JSON
+// file so listings and lookups don't need to scan the filesystem or the chain
+class CertificateRegistry {
+  constructor() {
+    this.filePath = null;
+    this.records = new Map();
+    this.loadedMtime = null;
+  }
+
+  initialize(filePath = path.join(__dirname, 'data', 'registry.json')) {
+    try {
+      this.filePath = filePath;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      this.load();
+
+      console.log(`Certificate registry loaded (${this.records.size} records)`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load certificate registry:", error);
+      return false;
+    }
+  }
+
+  // The server and the admin CLI share the file, so read it again whenever
+  // the other one has written to it since
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (mtimeMs === this.loadedMtime) return;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.records = new Map(data.certificates.map(record => [record.certificateNumber, record]));
+    this.loadedMtime = mtimeMs;
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written registry
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = { certificates: Array.from(this.records.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  add(record) {
+    this.addMany([record]);
+  }
+
+  addMany(records) {
+    this.load();
+    const now = new Date().toISOString();
+
+    for (const record of records) {
+      this.records.set(record.certificateNumber, {
+        status: 'ACTIVE',
+        createdAt: now,
+        updatedAt: now,
+        ...record
+      });
+    }
+
+    this.save();
+  }
+
+  update(certificateNumber, changes) {
+    this.load();
+    const record = this.records.get(certificateNumber);
+    if (!record) return null;
+
+    const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+    this.records.set(certificateNumber, updated);
+    this.save();
+    return updated;
+  }
+
+  get(certificateNumber) {
+    this.load();
+    return this.records.get(certificateNumber) || null;
+  }
+
+  all() {
+    this.load();
+    return Array.from(this.records.values());
+  }
+
+  // Records whose original or certified file has this SHA-256 hash
+  findByHash(hash) {
+    const value = hash.toLowerCase();
+    return this.all().filter(record => record.documentHash === value || record.certifiedHash === value);
+  }
+
+  // Filters: status, issuer (address), batchRoot, requestedBy (account id),
+  // from/to (ISO dates on createdAt) and q, a free-text query where every term
+  // must appear in a searchable field
+  list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, q, status, issuer, batchRoot, requestedBy, from, to } = {}) {
+    const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    const matches = this.all().filter(record => {
+      if (status && record.status !== status.toUpperCase()) return false;
+      if (issuer && (!record.issuer || record.issuer.address.toLowerCase() !== issuer.toLowerCase())) return false;
+      if (batchRoot && (record.batchRoot || '').toLowerCase() !== batchRoot.toLowerCase()) return false;
+      if (requestedBy && (!record.requestedBy || record.requestedBy.id !== requestedBy)) return false;
+      if (fromTime && Date.parse(record.createdAt) < fromTime) return false;
+      if (toTime && Date.parse(record.createdAt) > toTime) return false;
+
+      if (terms.length > 0) {
+        const text = SEARCH_FIELDS
+          .map(field => record[field] || '')
+          .concat(record.issuer ? [record.issuer.name, record.issuer.address] : [])
+          .join(' ')
+          .toLowerCase();
+        return terms.every(term => text.includes(term));
+      }
+
+      return true;
+    });
+
+    matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+
+    return {
+      total: matches.length,
+      page: current,
+      pageSize: size,
+      totalPages: Math.ceil(matches.length / size),
+      certificates: matches.slice((current - 1) * size, current * size)
+    };
+  }
+}
+
+module.exports = new CertificateRegistry();
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const blockchainService = require('../blockchain');
+const registry = require('../registry');
+const templates = require('../templates');
+const pdfSigner = require('../pdfsigner');
+const bundles = require('../bundles');
+const certify = require('../certify');
+
+// Command-line administration for scripts, cron jobs and pipelines. Uses the
+// same configuration (.env), registry and certified-documents directory as
+// the server. Every command prints one JSON object on stdout (logs go to
+// stderr) and exits with 0 on success, 1 when it failed and 2 on bad usage.
+const USAGE = `Usage: node scripts/admin.js <command> [options]
+
+  certify <file|directory>...   Certify files (every file of a directory)
+      [--template name] [--fields json] [--recipient name] [--title text]
+      [--valid-from date] [--valid-until date] [--out directory]
+      [--private true|false]    Register salted commitments, not file hashes
+  lookup <certificate>          Registry record and on-chain status
+  list                          Certificates in the registry
+      [--status s] [--issuer address] [--q text] [--from date] [--to date]
+      [--page n] [--page-size n]
+  revoke <certificate> --reason ISSUED_IN_ERROR|INVALIDATED|FRAUDULENT|OTHER
+  receipt <certificate>         Certificate receipt with its registration
+      [--bundle file.zip]       and write its verification bundle
+  deploy [--issuer-name name]   Deploy a new contract and use it
+  use <address>                 Use an already deployed contract`;
+
+// Transactions sent from the CLI are tracked apart from the server's, so
+// neither resumes or overwrites the other's
+const TRANSACTIONS_FILE = path.join(__dirname, '..', 'data', 'cli-transactions.json');
+
+// Recorded as requestedBy on certificates issued from the CLI
+const CLI_REQUESTER = { id: 'cli', name: os.userInfo().username, role: 'admin' };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) {
+      positional.push(rest[i]);
+      continue;
+    }
+    const name = rest[i].substring(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (rest[i + 1] === undefined || rest[i + 1].startsWith('--')) {
+      throw new UsageError(`${rest[i]} needs a value`);
+    }
+    options[name] = rest[++i];
+  }
+
+  return { command, positional, options };
+}
+
+// Load what a command needs; contract commands also need the signer and contract
+async function setup({ contract = true } = {}) {
+  const errors = config.validateConfig();
+  if (errors.length > 0) {
+    throw new UsageError(`Invalid configuration: ${errors.join('; ')}`);
+  }
+
+  if (!registry.initialize()) throw new Error('Certificate registry could not be loaded');
+  if (!templates.initialize({ dir: config.templatesDir })) throw new Error('Certificate templates are invalid');
+  if (!pdfSigner.initialize(config.pdfSigning)) throw new Error('PDF signing certificate could not be loaded');
+
+  if (contract && !await blockchainService.initialize({ transactions: { filePath: TRANSACTIONS_FILE } })) {
+    throw new Error(`Blockchain initialization failed (is the node at ${config.rpcUrl} running and the contract deployed?)`);
+  }
+}
+
+function unwrap(result, message) {
+  if (!result.success) throw new Error(`${message}: ${result.error}`);
+  return result;
+}
+
+// Files to certify: the files given, and every file directly in a directory
+function collectFiles(paths) {
+  const files = [];
+
+  for (const target of paths) {
+    if (!fs.existsSync(target)) throw new UsageError(`Not found: ${target}`);
+
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter(name => !name.startsWith('.'))
+        .map(name => path.join(target, name))
+        .filter(filePath => fs.statSync(filePath).isFile())
+        .sort()
+        .forEach(filePath => files.push(filePath));
+    } else {
+      files.push(target);
+    }
+  }
+
+  return files.map(filePath => path.resolve(filePath));
+}
+
+async function certifyCommand(positional, options) {
+  if (positional.length === 0) throw new UsageError('certify needs a file or directory');
+
+  const files = collectFiles(positional);
+  if (files.length === 0) throw new UsageError('No files to certify');
+
+  const { validity, error: validityError } = certify.parseValidityFields(options);
+  if (validityError) throw new UsageError(validityError);
+
+  await setup();
+
+  const stampOptions = certify.parseStampOptions(options);
+  if (stampOptions.error) throw new UsageError(stampOptions.error);
+
+  if (options.out) fs.mkdirSync(options.out, { recursive: true });
+  [certify.certifiedDir, certify.qrDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+  const details = {
+    ...(options.recipient ? { recipient: options.recipient } : {}),
+    ...(options.title ? { title: options.title } : {})
+  };
+
+  const certificates = [];
+  for (const filePath of files) {
+    const result = await certify.issueDocument(
+      { path: filePath, originalname: path.basename(filePath) },
+      { validity, stampOptions, details, isPrivate: certify.parsePrivateField(options), requestedBy: CLI_REQUESTER, source: 'CLI' }
+    );
+
+    if (!result.success) {
+      certificates.push({ file: filePath, success: false, error: result.error, details: result.details });
+      // Every other file would be refused the same way
+      if (result.code === 'NOT_ISSUER') break;
+      continue;
+    }
+
+    const { record } = result;
+    const certifiedPath = path.resolve(__dirname, '..', record.outputPath);
+    let outputPath = certifiedPath;
+    if (options.out) {
+      outputPath = path.resolve(options.out, record.certifiedFileName);
+      fs.copyFileSync(certifiedPath, outputPath);
+    }
+
+    certificates.push({
+      file: filePath,
+      success: true,
+      certificateNumber: record.certificateNumber,
+      documentHash: record.documentHash,
+      certifiedHash: record.certifiedHash,
+      private: Boolean(record.private),
+      outputPath,
+      txHash: record.txHash,
+      blockNumber: record.blockNumber,
+      verificationUrl: certify.buildVerificationUrl(record.certificateNumber, record.documentHash)
+    });
+  }
+
+  const failed = certificates.filter(certificate => !certificate.success).length;
+  return {
+    success: failed === 0,
+    total: files.length,
+    certified: certificates.length - failed,
+    failed,
+    certificates
+  };
+}
+
+// On-chain state of a certificate, or of its batch root
+async function getChainStatus(certificateNumber, record) {
+  if (record && record.batchRoot) {
+    const batch = unwrap(await blockchainService.getBatch(record.batchRoot), 'Batch lookup failed');
+    const revocation = unwrap(await blockchainService.getBatchRevocation(record.batchRoot, certificateNumber), 'Revocation lookup failed');
+    return {
+      exists: batch.exists,
+      issuer: batch.exists ? { address: batch.issuer, name: batch.issuerName } : null,
+      timestamp: batch.timestamp || null,
+      revocation: revocation.revoked ? { reason: revocation.reason, revokedAt: revocation.revokedAt } : null,
+      batch: { root: record.batchRoot, size: batch.size }
+    };
+  }
+
+  const document = unwrap(await blockchainService.getDocument(certificateNumber), 'Certificate lookup failed');
+  if (!document.exists) return { exists: false };
+
+  const revocation = unwrap(await blockchainService.getRevocation(certificateNumber), 'Revocation lookup failed');
+  const validity = unwrap(await blockchainService.getValidity(certificateNumber), 'Validity lookup failed');
+  const versions = unwrap(await blockchainService.getVersionLinks(certificateNumber), 'Version lookup failed');
+
+  return {
+    exists: true,
+    documentHash: document.documentHash,
+    certifiedHash: document.certifiedHash,
+    issuer: { address: document.issuer, name: document.issuerName },
+    timestamp: document.timestamp,
+    revocation: revocation.revoked ? { reason: revocation.reason, revokedAt: revocation.revokedAt } : null,
+    validity: { status: validity.status, validFrom: validity.validFrom, validUntil: validity.validUntil },
+    versions: { previousVersion: versions.previousVersion, supersededBy: versions.supersededBy }
+  };
+}
+
+async function lookupCommand(positional) {
+  const [certificateNumber] = positional;
+  if (!certificateNumber) throw new UsageError('lookup needs a certificate number');
+
+  await setup();
+
+  const record = registry.get(certificateNumber);
+  const blockchain = await getChainStatus(certificateNumber, record);
+
+  return { success: Boolean(record || blockchain.exists), certificateNumber, certificate: record, blockchain };
+}
+
+async function listCommand(positional, options) {
+  await setup({ contract: false });
+  return { success: true, ...registry.list(options) };
+}
+
+async function revokeCommand(positional, options) {
+  const [certificateNumber] = positional;
+  if (!certificateNumber) throw new UsageError('revoke needs a certificate number');
+
+  const reasons = blockchainService.REVOCATION_REASONS.slice(1);
+  if (!reasons.includes(options.reason)) {
+    throw new UsageError(`--reason must be one of: ${reasons.join(', ')}`);
+  }
+
+  await setup();
+
+  // Batch certificates are revoked with their leaf and proof from the manifest
+  const record = registry.get(certificateNumber);
+  const batchEntry = record && record.batchRoot ? loadBatchEntry(record.batchRoot, certificateNumber) : null;
+  if (record && record.batchRoot && !batchEntry) return { success: false, certificateNumber, error: 'Batch manifest not found' };
+
+  const status = await getChainStatus(certificateNumber, batchEntry ? record : null);
+  if (!status.exists) return { success: false, certificateNumber, error: 'Certificate not found' };
+  if (status.revocation) return { success: false, certificateNumber, error: 'Certificate already revoked', revocation: status.revocation };
+
+  const sent = batchEntry ?
+    blockchainService.revokeBatchDocument(
+      record.batchRoot,
+      batchEntry.proof,
+      certificateNumber,
+      batchEntry.documentHash,
+      batchEntry.certifiedHash,
+      batchEntry.validFrom,
+      batchEntry.validUntil,
+      options.reason
+    ) :
+    blockchainService.revokeDocument(certificateNumber, options.reason);
+  const result = unwrap(await sent, 'Blockchain revocation failed');
+  const revocationInfo = unwrap(
+    await (batchEntry ?
+      blockchainService.getBatchRevocation(record.batchRoot, certificateNumber) :
+      blockchainService.getRevocation(certificateNumber)),
+    'Revocation lookup failed'
+  );
+  const revocation = {
+    reason: revocationInfo.reason,
+    reasonCode: revocationInfo.reasonCode,
+    revokedAt: revocationInfo.revokedAt,
+    revocationDate: new Date(revocationInfo.revokedAt * 1000).toLocaleString()
+  };
+
+  registry.update(certificateNumber, {
+    status: 'REVOKED',
+    revocation,
+    revocationTxHash: result.txHash,
+    revokedBy: CLI_REQUESTER
+  });
+
+  return { success: true, certificateNumber, txHash: result.txHash, revocation };
+}
+
+// Proof of a batch certificate, from the manifest the server keeps per batch
+function loadBatchEntry(root, certificateNumber) {
+  const manifestPath = path.join(__dirname, '..', 'batches', `${root.toLowerCase()}.json`);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return manifest.certificates.find(entry => entry.certificateNumber === certificateNumber) || null;
+}
+
+async function receiptCommand(positional, options) {
+  const [certificateNumber] = positional;
+  if (!certificateNumber) throw new UsageError('receipt needs a certificate number');
+
+  await setup();
+
+  const record = registry.get(certificateNumber);
+  if (!record) return { success: false, certificateNumber, error: 'Certificate not found in the registry' };
+  if (!record.txHash) return { success: false, certificateNumber, error: 'Certificate is not registered on chain' };
+
+  const status = await getChainStatus(certificateNumber, record);
+  if (!status.exists) return { success: false, certificateNumber, error: 'Certificate not found on blockchain' };
+
+  let batch = null;
+  if (record.batchRoot) {
+    const entry = loadBatchEntry(record.batchRoot, certificateNumber);
+    if (!entry) return { success: false, certificateNumber, error: 'Batch manifest not found' };
+    batch = { root: record.batchRoot, proof: entry.proof, certifiedHash: entry.certifiedHash, validFrom: entry.validFrom, validUntil: entry.validUntil };
+  }
+
+  const transaction = await blockchainService.provider.send('eth_getTransactionReceipt', [record.txHash]);
+  const receipt = {
+    certificateNumber,
+    documentHash: record.documentHash,
+    certifiedHash: (batch ? batch.certifiedHash : status.certifiedHash) || null,
+    issuer: status.issuer,
+    validFrom: batch ? batch.validFrom : status.validity.validFrom,
+    validUntil: batch ? batch.validUntil : status.validity.validUntil,
+    status: record.status,
+    revocation: status.revocation,
+    supersededBy: status.versions ? status.versions.supersededBy : null,
+    originalFileName: record.originalFileName,
+    certifiedFileName: record.certifiedFileName,
+    verificationUrl: certify.buildVerificationUrl(certificateNumber, record.documentHash, batch ? { batch } : {}),
+    chainId: blockchainService.chainId,
+    contractAddress: await blockchainService.contract.getAddress(),
+    transactionHash: record.txHash,
+    blockNumber: transaction ? Number(transaction.blockNumber) : null,
+    blockHash: transaction ? transaction.blockHash : null,
+    registeredAt: new Date(status.timestamp * 1000).toISOString(),
+    batch: batch ? { root: batch.root, proof: batch.proof } : null
+  };
+
+  if (options.bundle) {
+    const certifiedPath = record.outputPath && path.resolve(__dirname, '..', record.outputPath);
+    if (!certifiedPath || !fs.existsSync(certifiedPath)) {
+      return { success: false, certificateNumber, error: 'Certified document not found', receipt };
+    }
+
+    const bundle = await bundles.createBundle(blockchainService.provider, {
+      certificateNumber,
+      documentHash: receipt.documentHash,
+      certifiedHash: receipt.certifiedHash || '',
+      issuer: receipt.issuer,
+      validFrom: receipt.validFrom,
+      validUntil: receipt.validUntil,
+      verificationUrl: receipt.verificationUrl,
+      chainId: receipt.chainId,
+      contractAddress: receipt.contractAddress,
+      transactionHash: receipt.transactionHash,
+      batch: receipt.batch
+    }, { name: path.basename(certifiedPath), buffer: fs.readFileSync(certifiedPath) });
+
+    fs.writeFileSync(options.bundle, bundle);
+    console.log(`✓ Verification bundle written to ${options.bundle}`);
+  }
+
+  return { success: true, receipt, bundle: options.bundle ? path.resolve(options.bundle) : null };
+}
+
+async function deployCommand(positional, options) {
+  const errors = config.validateConfig();
+  if (errors.length > 0) throw new UsageError(`Invalid configuration: ${errors.join('; ')}`);
+
+  const issuerName = options.issuerName || process.env.ISSUER_NAME || 'Default Issuer';
+  const result = unwrap(await blockchainService.deployContract(issuerName), 'Deployment failed');
+
+  const manifest = {
+    network: config.network,
+    chainId: result.chainId,
+    address: result.address,
+    deployer: result.deployer,
+    issuerName,
+    transactionHash: result.transactionHash,
+    blockNumber: result.blockNumber,
+    deployedAt: new Date().toISOString()
+  };
+  const manifestPath = config.saveDeploymentManifest(manifest);
+
+  return { success: true, ...manifest, manifest: manifestPath, ...getOverrideWarning() };
+}
+
+async function useCommand(positional) {
+  const [address] = positional;
+  if (!address) throw new UsageError('use needs a contract address');
+
+  const errors = config.validateConfig();
+  if (errors.length > 0) throw new UsageError(`Invalid configuration: ${errors.join('; ')}`);
+
+  // Also checks there is a DocumentVerification contract at the address
+  await blockchainService.connect(config.rpcUrl, address);
+  const issuers = unwrap(await blockchainService.getIssuers(), 'Not a DocumentVerification contract');
+
+  const manifest = {
+    network: config.network,
+    chainId: blockchainService.chainId,
+    address: await blockchainService.contract.getAddress(),
+    issuers: issuers.issuers.length,
+    selectedAt: new Date().toISOString()
+  };
+  const manifestPath = config.saveDeploymentManifest(manifest);
+
+  return { success: true, ...manifest, manifest: manifestPath, ...getOverrideWarning() };
+}
+
+// CONTRACT_ADDRESS wins over the deployment manifest
+function getOverrideWarning() {
+  return config.contractAddress ?
+    { warning: `CONTRACT_ADDRESS (${config.contractAddress}) is set and still takes precedence` } :
+    {};
+}
+
+const COMMANDS = {
+  certify: certifyCommand,
+  lookup: lookupCommand,
+  list: listCommand,
+  revoke: revokeCommand,
+  receipt: receiptCommand,
+  deploy: deployCommand,
+  use: useCommand
+};
+
+async function main() {
+  // Keep stdout for the JSON result
+  console.log = console.error;
+
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+  if (!COMMANDS[command]) throw new UsageError(USAGE);
+
+  return COMMANDS[command](positional, options);
+}
+
+main()
+  .then(result => {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    process.exitCode = result.success ? 0 : 1;
+  })
+  .catch(error => {
+    if (error instanceof UsageError && error.message === USAGE) {
+      console.error(USAGE);
+    } else {
+      process.stdout.write(JSON.stringify({ success: false, error: error.message }, null, 2) + '\n');
+    }
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  })
+  // Stop the transaction manager and provider polling
+  .finally(() => process.exit());
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+// Creates a self-signed PKCS#12 file for signing certified PDFs during
+// development. PDF readers will flag the signature as untrusted; use a
+// certificate from a real CA in production.
+//
+// Usage: node scripts/create-signing-cert.js [output.p12] [passphrase] [common name]
+function main() {
+  const outputPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'signing.p12'));
+  const passphrase = process.argv[3] || process.env.PDF_SIGNING_PASSPHRASE || '';
+  const commonName = process.argv[4] || process.env.ISSUER_NAME || 'Document Verification';
+
+  if (fs.existsSync(outputPath)) {
+    throw new Error(`${outputPath} already exists`);
+  }
+
+  console.log('Generating 2048-bit RSA key...');
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date();
+  cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+
+  const attributes = [{ name: 'commonName', value: commonName }];
+  cert.setSubject(attributes);
+  cert.setIssuer(attributes);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true }
+  ]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+  fs.writeFileSync(outputPath, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+  console.log(`✓ Signing certificate for "${commonName}" written to ${outputPath}`);
+  console.log('Set PDF_SIGNING_P12 (and PDF_SIGNING_PASSPHRASE) in .env to enable signing');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
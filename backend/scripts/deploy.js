@@ -1,22 +1,45 @@
 const hre = require("hardhat");
+const path = require('path');
+const config = require('../config');
 
 async function main() {
-  console.log("Deploying DocumentVerification contract...");
+  const networkName = hre.network.name;
+  console.log(`Deploying DocumentVerification contract to "${networkName}"...`);
+
+  const [deployer] = await hre.ethers.getSigners();
+  if (!deployer) {
+    throw new Error(`No deployer account for "${networkName}" - set PRIVATE_KEY`);
+  }
+  console.log("Deployer:", deployer.address);
+
+  // The deployer becomes the contract owner and its first issuer
+  const issuerName = process.env.ISSUER_NAME || "Default Issuer";
+  console.log("Initial issuer:", issuerName);
 
   const DocumentVerification = await hre.ethers.getContractFactory("DocumentVerification");
-  const documentVerification = await DocumentVerification.deploy();
+  const documentVerification = await DocumentVerification.deploy(issuerName);
 
   await documentVerification.waitForDeployment();
 
   const address = await documentVerification.getAddress();
+  const receipt = await documentVerification.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
   console.log("DocumentVerification deployed to:", address);
-  
-  // Save the contract address
-  const fs = require('fs');
-  fs.writeFileSync(
-    'contract-address.txt',
-    address
-  );
+
+  // One manifest per network; the server picks the one named by NETWORK
+  const manifest = {
+    network: networkName,
+    chainId: Number(chainId),
+    address,
+    deployer: deployer.address,
+    issuerName,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString()
+  };
+
+  const manifestPath = config.saveDeploymentManifest(manifest);
+  console.log("Deployment manifest:", path.relative(process.cwd(), manifestPath));
 }
 
 main()
@@ -24,4 +47,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
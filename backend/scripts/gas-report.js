@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const crypto = require('crypto');
+
+// Gas used by the same operations on the string-keyed contract
+// (contracts/legacy/DocumentVerificationV1.sol) and on the bytes32 storage
+// layout, measured on the in-process Hardhat network.
+//
+// Usage: npm run gas-report
+const CONTRACTS = [
+  // The old contract takes hashes as hex strings, the current one as bytes32
+  { name: 'DocumentVerificationV1', label: 'strings', toHash: hash => hash },
+  { name: 'DocumentVerification', label: 'bytes32', toHash: hash => `0x${hash}` }
+];
+
+// Certificate numbers and hashes as the server generates them
+const CERTIFICATES = ['CERT-70873551-2814', 'CERT-70873552-0417', 'CERT-70873553-9930'];
+const HASHES = Array.from({ length: 6 }, () => crypto.randomBytes(32).toString('hex'));
+const BATCH_ROOT = `0x${crypto.randomBytes(32).toString('hex')}`;
+const YEAR = 365 * 24 * 60 * 60;
+
+async function measure({ name, toHash }) {
+  const factory = await hre.ethers.getContractFactory(name);
+  const contract = await factory.deploy('Gas Report Issuer');
+  const gas = { deploy: (await contract.deploymentTransaction().wait()).gasUsed };
+
+  const record = async (operation, sent) => {
+    gas[operation] = (await (await sent).wait()).gasUsed;
+  };
+  const now = Math.floor(Date.now() / 1000);
+
+  await record('registerDocument', contract.registerDocument(CERTIFICATES[0], toHash(HASHES[0]), toHash(HASHES[1]), 0, 0));
+  await record('registerDocument (validity)', contract.registerDocument(CERTIFICATES[1], toHash(HASHES[2]), toHash(HASHES[3]), now, now + YEAR));
+  await record('amendDocument', contract.amendDocument(CERTIFICATES[0], CERTIFICATES[2], toHash(HASHES[4]), toHash(HASHES[5]), 0, 0));
+  await record('revokeDocument', contract.revokeDocument(CERTIFICATES[1], 1));
+  await record('anchorBatch', contract.anchorBatch(BATCH_ROOT, 100));
+
+  // Views cost nothing to call; this is what a contract calling them would pay
+  const certificateKey = name === 'DocumentVerificationV1' ? CERTIFICATES[2] : hre.ethers.id(CERTIFICATES[2]);
+  gas['verifyDocument (call)'] = await contract.verifyDocument.estimateGas(certificateKey, toHash(HASHES[4]));
+
+  return gas;
+}
+
+function pad(value, width, left = false) {
+  const text = String(value);
+  return left ? text.padEnd(width) : text.padStart(width);
+}
+
+async function main() {
+  const results = [];
+  for (const contract of CONTRACTS) {
+    results.push(await measure(contract));
+  }
+
+  const [before, after] = results;
+  console.log(`${pad('Operation', 30, true)}${pad(CONTRACTS[0].label, 12)}${pad(CONTRACTS[1].label, 12)}${pad('Saving', 10)}`);
+
+  for (const operation of Object.keys(before)) {
+    const saving = Number(before[operation] - after[operation]) / Number(before[operation]) * 100;
+    console.log(`${pad(operation, 30, true)}${pad(before[operation], 12)}${pad(after[operation], 12)}${pad(`${saving.toFixed(1)}%`, 10)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const blockchainService = require('../blockchain');
+const bundles = require('../bundles');
+const commitments = require('../commitments');
+const pdfSigner = require('../pdfsigner');
+const { generateDocumentHash, parseQRData, extractCertificateData, isImageFile } = require('../documents');
+
+// Verifies certified documents without the issuer's server.
+//
+// Usage: node scripts/verify.js <file> [--original <file>] [--rpc <url>] [--contract <address>] [--json]
+//        node scripts/verify.js --bundle <bundle.zip> [--original <file>] [--json]
+//
+// A file is checked against the contract through any RPC endpoint (RPC_URL
+// and the configured contract by default). A verification bundle is checked
+// fully offline. Exits with 0 when the certificate is authentic.
+const USAGE = 'Usage: node scripts/verify.js <file> [--original <file>] [--rpc <url>] [--contract <address>] [--json]\n' +
+  '       node scripts/verify.js --bundle <bundle.zip> [--original <file>] [--json]';
+
+function parseArgs(argv) {
+  const args = { json: false };
+  const valueOptions = { '--original': 'original', '--rpc': 'rpc', '--contract': 'contract', '--bundle': 'bundle' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (valueOptions[arg]) {
+      if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+      args[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith('--') || args.file) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    } else {
+      args.file = arg;
+    }
+  }
+
+  if (!args.file === !args.bundle) throw new Error(USAGE);
+  if (args.bundle && (args.rpc || args.contract)) throw new Error('--rpc and --contract do not apply to bundles');
+  return args;
+}
+
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+  return path.resolve(filePath);
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+// Same order of precedence as the server's verification
+function getStatus({ exists, isAuthentic, contentUnverified, revocation, supersededBy, validity }) {
+  if (!exists) return 'NOT_FOUND';
+  if (!isAuthentic) return 'TAMPERED';
+  if (revocation) return 'REVOKED';
+  if (supersededBy) return 'SUPERSEDED';
+  if (validity && validity.status !== 'VALID') return validity.status;
+  if (contentUnverified) return 'UNVERIFIED_CONTENT';
+  return 'AUTHENTIC';
+}
+
+function unwrap(result) {
+  if (!result.success) throw new Error(result.error);
+  return result;
+}
+
+// Look the file's certificate up on chain
+async function verifyFile(args) {
+  const filePath = readFile(args.file);
+  const fileHash = generateDocumentHash(filePath);
+  const originalHash = args.original ? generateDocumentHash(readFile(args.original)) : null;
+
+  const { qrData, qrSource } = await extractCertificateData(filePath);
+  const payload = qrData ? parseQRData(qrData) : null;
+  if (!payload || !payload.cert || !payload.hash) {
+    throw new Error('No certificate data found in the file');
+  }
+
+  const rpcUrl = args.rpc || config.rpcUrl;
+  const contractAddress = args.contract || config.resolveContractAddress().address;
+  if (!contractAddress) throw new Error('No contract address (pass --contract or set CONTRACT_ADDRESS)');
+
+  await blockchainService.connect(rpcUrl, contractAddress);
+
+  const { cert, hash } = payload;
+  // Batch certificates need their inclusion proof, which only the server's
+  // batch manifest and the bundle carry
+  if (payload.root) {
+    throw new Error('Merkle batch certificates are verified with their bundle (--bundle)');
+  }
+
+  const document = unwrap(await blockchainService.getDocument(cert));
+  const registered = {
+    exists: document.exists,
+    dataMatches: document.documentHash === hash,
+    documentHash: document.documentHash,
+    certifiedHash: document.certifiedHash,
+    issuer: { address: document.issuer, name: document.issuerName },
+    timestamp: document.timestamp,
+    validity: document.exists ? unwrap(await blockchainService.getValidity(cert)) : null
+  };
+
+  // Same rules as /api/verify-upload: the certificate data must match the
+  // registration, and the file must match the certified output when one was
+  // registered (a photo of a printed copy can't be compared byte for byte)
+  let contentMatches = registered.certifiedHash ? fileHash === registered.certifiedHash : null;
+  if (isImageFile(filePath) && contentMatches === false) contentMatches = null;
+  // A detached certificate or batch output vouches for the original file by
+  // its hash, or by its salted commitment for private certificates
+  const originalMatches = originalHash ?
+    commitments.getRegisteredHash(originalHash, payload) === registered.documentHash :
+    null;
+  const signature = path.extname(filePath).toLowerCase() === '.pdf' ? pdfSigner.verify(fs.readFileSync(filePath)) : null;
+  const signatureIntact = signature && signature.signed ? signature.valid && !signature.modifiedAfterSigning : null;
+  const isAuthentic = registered.exists && registered.dataMatches &&
+    contentMatches !== false && originalMatches !== false && signatureIntact !== false;
+
+  const revocation = registered.exists ? unwrap(await blockchainService.getRevocation(cert)) : null;
+  const versions = registered.exists ? unwrap(await blockchainService.getVersionLinks(cert)) : null;
+  const status = getStatus({
+    exists: registered.exists,
+    isAuthentic,
+    contentUnverified: contentMatches === null && !originalMatches,
+    revocation: revocation && revocation.revoked,
+    supersededBy: versions && versions.supersededBy,
+    validity: registered.validity
+  });
+
+  return {
+    success: true,
+    isValid: status === 'AUTHENTIC',
+    status,
+    mode: 'online',
+    certificateNumber: cert,
+    qrSource,
+    providedHash: fileHash,
+    originalHash,
+    metadataMatches: registered.exists && registered.dataMatches,
+    contentMatches,
+    originalMatches,
+    signatureIntact,
+    // Printed copies can't be compared byte for byte; only --original then
+    // vouches for the file content
+    contentAnchored: contentMatches !== null || originalMatches !== null,
+    registeredHash: registered.exists ? registered.documentHash : null,
+    certifiedHash: registered.exists ? registered.certifiedHash || null : null,
+    issuer: registered.exists ? registered.issuer : null,
+    timestamp: registered.exists ? registered.timestamp : null,
+    validity: registered.exists ? { status: registered.validity.status, validFrom: registered.validity.validFrom, validUntil: registered.validity.validUntil } : null,
+    revocation: revocation && revocation.revoked ? { reason: revocation.reason, revokedAt: revocation.revokedAt } : null,
+    versions: versions ? { previousVersion: versions.previousVersion, supersededBy: versions.supersededBy } : null,
+    chainId: blockchainService.chainId,
+    contractAddress,
+    rpcUrl
+  };
+}
+
+async function verifyBundle(args) {
+  const original = args.original ? fs.readFileSync(readFile(args.original)) : undefined;
+  const result = await bundles.verifyBundle(fs.readFileSync(readFile(args.bundle)), {
+    abi: blockchainService.loadAbi(),
+    original
+  });
+  if (!result.success) throw new Error(result.error);
+
+  return { ...result, mode: 'offline' };
+}
+
+function printResult(result) {
+  console.log(`Certificate ${result.certificateNumber}`);
+
+  if (result.mode === 'offline') {
+    for (const check of result.checks) {
+      console.log(`  ${check.passed ? '✓' : '✗'} ${check.name}: ${check.details}`);
+    }
+    console.log(`  Chain ${result.chainId}, contract ${result.contractAddress}`);
+    console.log(`  Block ${result.block.number} (${result.block.hash}), ${formatDate(result.block.timestamp)}`);
+    console.log('  Compare the block hash with a source you trust to finish the check.');
+    console.log(`  Revocations after the bundle was made (${result.bundledAt}) can only be seen online.`);
+  } else {
+    console.log(`  Chain ${result.chainId}, contract ${result.contractAddress} (${result.rpcUrl})`);
+    if (result.issuer) {
+      console.log(`  Issuer: ${result.issuer.name} (${result.issuer.address}), registered ${formatDate(result.timestamp)}`);
+    }
+    if (result.contentMatches !== null) console.log(`  ${result.contentMatches ? '✓' : '✗'} Certified document ${result.contentMatches ? 'unmodified' : 'was modified'}`);
+    if (result.originalMatches !== null) console.log(`  ${result.originalMatches ? '✓' : '✗'} Original file ${result.originalMatches ? 'matches' : 'does not match'} the registered hash`);
+    if (result.signatureIntact !== null) console.log(`  ${result.signatureIntact ? '✓' : '✗'} PDF signature ${result.signatureIntact ? 'intact' : 'broken'}`);
+    if (result.revocation) console.log(`  Revoked ${formatDate(result.revocation.revokedAt)} (${result.revocation.reason})`);
+    if (result.versions && result.versions.supersededBy) console.log(`  Superseded by ${result.versions.supersededBy}`);
+  }
+
+  if (result.validity && result.validity.validUntil) {
+    console.log(`  Valid until ${formatDate(result.validity.validUntil)}`);
+  }
+  if (result.status === 'UNVERIFIED_CONTENT') {
+    console.log('  ⚠ The file content could not be checked - verify the certified file itself, or pass --original to check the original document');
+  }
+  if (result.status === 'NOT_FOUND' && result.mode === 'online') {
+    console.log('  Merkle batch certificates are not registered one by one - verify them with their bundle (--bundle)');
+  }
+
+  console.log(`${result.isValid ? '✓' : '✗'} ${result.status}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Keep stdout for the JSON result
+  if (args.json) console.log = console.error;
+
+  const result = args.bundle ? await verifyBundle(args) : await verifyFile(args);
+
+  if (args.json) process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  else printResult(result);
+
+  return result.isValid ? 0 : 1;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 2;
+  })
+  .finally(() => {
+    if (blockchainService.provider) blockchainService.provider.destroy();
+  });
@@ -1,31 +1,64 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
-const QRCode = require('qrcode');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const JSZip = require('jszip');
+const { parse: parseCSV } = require('csv-parse/sync');
+const { stringify: stringifyCSV } = require('csv-stringify/sync');
+const { PDFDocument, PageSizes, StandardFonts, rgb } = require('pdf-lib');
+const { ethers } = require('ethers');
+const config = require('./config');
 const blockchainService = require('./blockchain');
+const merkle = require('./merkle');
+const registry = require('./registry');
+const indexer = require('./indexer');
+const pdfSigner = require('./pdfsigner');
+const templates = require('./templates');
+const generator = require('./generator');
+const credentials = require('./credentials');
+const bundles = require('./bundles');
+const commitments = require('./commitments');
+const { generateDocumentHash, parseQRData, extractCertificateData, isImageFile } = require('./documents');
+const {
+  certifiedDir,
+  qrDir,
+  tempDir,
+  generateCertificateNumber,
+  parseValidityFields,
+  parseStampOptions,
+  parsePrivateField,
+  commitDocument,
+  buildQRPayload,
+  buildVerificationUrl,
+  processCertifiedDocument,
+  issueDocument,
+  markSuperseded
+} = require('./certify');
+const accounts = require('./auth');
+const downloads = require('./downloads');
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
+const PUBLIC_BASE_URL = config.publicBaseUrl;
+const MAX_BATCH_FILES = config.maxBatchFiles;
 
 // Middleware
-app.use(cors());
+if (config.trustProxy) app.set('trust proxy', config.trustProxy);
+
+app.use(cors({ origin: config.corsOrigins.includes('*') ? true : config.corsOrigins }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../frontend')));
 
 // Create directories
 const uploadsDir = path.join(__dirname, 'uploads');
-const certifiedDir = path.join(__dirname, 'certified-documents');
-const qrDir = path.join(__dirname, 'qr-codes');
-const tempDir = path.join(__dirname, 'temp');
+const batchesDir = path.join(__dirname, 'batches');
 
-[uploadsDir, certifiedDir, qrDir, tempDir].forEach(dir => {
+[uploadsDir, certifiedDir, qrDir, tempDir, batchesDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
     console.log(`✓ Created: ${dir}`);
@@ -41,600 +74,2393 @@ const storage = multer.diskStorage({
   }
 });
 
+// Any file type can be certified: formats without a handler get a detached certificate
 const upload = multer({ 
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Bulk uploads accept a CSV manifest alongside the documents (or a CSV of
+// recipients for generated certificates)
+const batchUpload = multer({
   storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|png|jpg|jpeg|txt/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    if (extname) return cb(null, true);
-    cb(new Error('Only PDF, PNG, JPG, JPEG, and TXT files allowed'));
+    const ext = path.extname(file.originalname).toLowerCase();
+    
+    if (file.fieldname === 'manifest' || file.fieldname === 'recipients') return cb(null, ext === '.csv');
+    cb(null, true);
+  }
+});
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.substring(7) : '';
+}
+
+// Resolve the caller's account (admin key, API key or session token) for every API request
+function authenticate(req, res, next) {
+  req.account = accounts.authenticate(getBearerToken(req));
+  next();
+}
+
+// Only let accounts with one of the given roles through
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.account) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!roles.includes(req.account.role)) {
+      return res.status(403).json({ error: 'Forbidden', details: `Requires role: ${roles.join(' or ')}` });
+    }
+
+    next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+const requireIssuer = requireRole('admin', 'issuer');
+
+// Account reference stored with everything an account issues or changes
+function getRequester(req) {
+  return { id: req.account.id, name: req.account.name, role: req.account.role };
+}
+
+function canAccessRecord(account, record) {
+  return account.role === 'admin' || (record.requestedBy && record.requestedBy.id === account.id);
+}
+
+// Registry record the caller may manage; sends 404 (also for other issuers' certificates)
+function getAccessibleRecord(req, res) {
+  const record = registry.get(req.params.cert);
+
+  if (!record || !canAccessRecord(req.account, record)) {
+    res.status(404).json({ error: 'Certificate not found' });
+    return null;
+  }
+
+  return record;
+}
+
+// Public verification stays open but is limited per client IP
+const verifyLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  limit: config.rateLimit.verify,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many verification requests, please try again later' }
+});
+
+const loginLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  limit: config.rateLimit.login,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many sign-in attempts, please try again later' }
+});
+
+app.use('/api', authenticate);
+
+// Get revocation details for a certificate (null if not revoked). Batch
+// certificates are revoked within their batch, so pass its root for those.
+async function getRevocationDetails(certificateNumber, root = null) {
+  const revocation = root ?
+    await blockchainService.getBatchRevocation(root, certificateNumber) :
+    await blockchainService.getRevocation(certificateNumber);
+  
+  if (!revocation.success) {
+    throw new Error(`Revocation lookup failed: ${revocation.error}`);
+  }
+  
+  if (!revocation.revoked) return null;
+  
+  return {
+    reason: revocation.reason,
+    reasonCode: revocation.reasonCode,
+    revokedAt: revocation.revokedAt,
+    revocationDate: new Date(revocation.revokedAt * 1000).toLocaleString()
+  };
+}
+
+// Amendment links of a certificate, with the current version at the end of
+// the chain (null if the certificate was never amended)
+async function getVersionDetails(certificateNumber) {
+  const links = await blockchainService.getVersionLinks(certificateNumber);
+  
+  if (!links.success) {
+    throw new Error(`Version lookup failed: ${links.error}`);
+  }
+  
+  if (!links.previousVersion && !links.supersededBy) return null;
+  
+  let currentVersion = certificateNumber;
+  let next = links.supersededBy;
+  while (next) {
+    currentVersion = next;
+    const nextLinks = await blockchainService.getVersionLinks(next);
+    if (!nextLinks.success) throw new Error(`Version lookup failed: ${nextLinks.error}`);
+    next = nextLinks.supersededBy;
+  }
+  
+  return {
+    previousVersion: links.previousVersion,
+    supersededBy: links.supersededBy,
+    currentVersion
+  };
+}
+
+function getSupersededMessage(versions) {
+  return `✗ SUPERSEDED - This version was replaced by certificate ${versions.currentVersion}`;
+}
+
+// Get validity window details for verification responses
+async function getValidityDetails(certificateNumber) {
+  const validity = await blockchainService.getValidity(certificateNumber);
+  
+  if (!validity.success) {
+    throw new Error(`Validity lookup failed: ${validity.error}`);
+  }
+  
+  return formatValidityDetails(validity.status, validity.validFrom, validity.validUntil);
+}
+
+function formatValidityDetails(status, validFrom, validUntil) {
+  return {
+    status,
+    validFrom,
+    validUntil,
+    validFromDate: validFrom ? new Date(validFrom * 1000).toLocaleString() : null,
+    validUntilDate: validUntil ? new Date(validUntil * 1000).toLocaleString() : null
+  };
+}
+
+function getValidityMessage(validity) {
+  return validity.status === 'EXPIRED' ?
+    `✗ EXPIRED - Certificate expired on ${validity.validUntilDate}` :
+    `✗ NOT YET VALID - Certificate is valid from ${validity.validFromDate}`;
+}
+
+function getBatchManifestPath(root) {
+  return path.join(batchesDir, `${root.toLowerCase()}.json`);
+}
+
+// Off-chain record of a batch: every leaf with its proof, so certificates can be
+// re-verified from a QR code (root only) or audited later
+function saveBatchManifest(manifest) {
+  fs.writeFileSync(getBatchManifestPath(manifest.root), JSON.stringify(manifest, null, 2));
+}
+
+function loadBatchManifest(root) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(root)) return null;
+  
+  const manifestPath = getBatchManifestPath(root);
+  if (!fs.existsSync(manifestPath)) return null;
+  
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Look up a certificate on blockchain from its QR payload, either as an
+// individually registered document or as a leaf of an anchored Merkle batch.
+// Batch documents don't name their root; the registry records it.
+async function lookupCertificate(payload) {
+  const record = payload.root ? null : registry.get(payload.cert);
+  if (payload.root || (record && record.batchRoot)) {
+    return lookupBatchCertificate({ ...payload, root: payload.root || record.batchRoot });
+  }
+  
+  const { cert, hash } = payload;
+  
+  const result = await blockchainService.verifyDocument(cert, hash);
+  if (!result.success) return result;
+  
+  const documentInfo = await blockchainService.getDocument(cert);
+  if (!documentInfo.success) return documentInfo;
+  
+  const exists = documentInfo.exists;
+  
+  return {
+    success: true,
+    exists,
+    hashMatches: result.isValid,
+    timestamp: result.timestamp,
+    registeredHash: documentInfo.documentHash,
+    certifiedHash: documentInfo.certifiedHash,
+    issuer: exists ? { address: documentInfo.issuer, name: documentInfo.issuerName } : null,
+    revocation: exists ? await getRevocationDetails(cert) : null,
+    validity: exists ? await getValidityDetails(cert) : null,
+    versions: exists ? await getVersionDetails(cert) : null,
+    batch: null
+  };
+}
+
+// A certificate's entry (proof, hashes, validity) in a stored batch manifest
+function findBatchEntry(root, certificateNumber) {
+  const manifest = loadBatchManifest(root);
+  return manifest && manifest.certificates.find(c => c.certificateNumber === certificateNumber) || null;
+}
+
+// The leaf data and proof come with the payload (disclosures) or from the
+// batch manifest. Without them the certificate can't be found.
+async function lookupBatchCertificate(payload) {
+  const { cert, hash, root } = payload;
+  const entry = payload.proof ? null : findBatchEntry(root, cert);
+  const leaf = entry || { documentHash: hash, ...payload };
+  const { proof, documentHash, certifiedHash = '', validFrom = 0, validUntil = 0 } = leaf;
+  
+  const batchInfo = await blockchainService.getBatch(root);
+  if (!batchInfo.success) return batchInfo;
+  
+  const exists = batchInfo.exists && Array.isArray(proof);
+  let result = { isValid: false, validityStatus: 'VALID' };
+  
+  if (exists) {
+    result = await blockchainService.verifyBatchDocument(root, proof, cert, documentHash, certifiedHash, validFrom, validUntil);
+    if (!result.success) return result;
+  }
+  
+  return {
+    success: true,
+    exists,
+    hashMatches: result.isValid && hash === documentHash,
+    timestamp: batchInfo.timestamp,
+    registeredHash: result.isValid ? documentHash : null,
+    // Part of the anchored leaf, so only trusted once the proof checks out
+    certifiedHash: result.isValid ? certifiedHash : '',
+    issuer: exists ? { address: batchInfo.issuer, name: batchInfo.issuerName } : null,
+    revocation: exists ? await getRevocationDetails(cert, root) : null,
+    validity: exists ? formatValidityDetails(result.validityStatus, validFrom, validUntil) : null,
+    // Batch certificates are anchored by root only and can't be amended
+    versions: null,
+    batch: { root, size: batchInfo.size }
+  };
+}
+
+// Registration transaction of a certificate (or its batch), from the chain
+// index when available, otherwise from the local registry
+function getRegistrationTx(certificateNumber, root) {
+  if (indexer.state) {
+    const { certificates, batches } = indexer.getState();
+    const indexed = root ? batches.get(root) : certificates.get(certificateNumber);
+    if (indexed) return { txHash: indexed.txHash, blockNumber: indexed.blockNumber };
+  }
+  
+  const record = registry.get(certificateNumber);
+  return record && record.txHash ? { txHash: record.txHash, blockNumber: record.blockNumber || null } : null;
+}
+
+function getDownloadUrl(certificateNumber) {
+  return `${PUBLIC_BASE_URL}/api/certificates/${encodeURIComponent(certificateNumber)}/download`;
+}
+
+// Certified file of a registry record, refusing anything outside certifiedDir
+function getCertifiedFilePath(record) {
+  if (!record.outputPath) return null;
+
+  const filePath = path.resolve(__dirname, record.outputPath);
+  if (!filePath.startsWith(certifiedDir + path.sep) || !fs.existsSync(filePath)) return null;
+
+  return filePath;
+}
+
+// Send a certified document and record who fetched it
+function sendCertifiedFile(req, res, record, source) {
+  const filePath = getCertifiedFilePath(record);
+
+  if (!filePath) {
+    console.error(`Certified file missing for ${record.certificateNumber}`);
+    return res.status(404).json({ error: 'Certified file not available' });
+  }
+
+  res.download(filePath, record.certifiedFileName || path.basename(filePath), (err) => {
+    if (err) {
+      console.error('Download error:', err);
+      return;
+    }
+
+    downloads.logDownload({
+      certificateNumber: record.certificateNumber,
+      ...source,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || ''
+    });
+    console.log(`✓ Downloaded: ${record.certificateNumber} (${source.via})`);
+  });
+}
+
+// Verification page opened from the certificate's QR code
+app.get('/verify/:cert', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/verify.html'));
+});
+
+// Public download through a share link
+app.get('/share/:token', verifyLimiter, (req, res) => {
+  const { link, error } = downloads.resolveToken(req.params.token);
+
+  if (error) {
+    console.warn(`⚠ Share link refused: ${error}`);
+    return res.status(error === 'Invalid share link' ? 404 : 410).json({ error });
+  }
+
+  const record = registry.get(link.certificateNumber);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Certificate not found' });
+  }
+
+  sendCertifiedFile(req, res, record, { via: 'share-link', linkId: link.id });
+});
+
+// Certify a document and register it on blockchain, then send the response
+// shared by uploads and generated certificates. file is { path, originalname,
+// size }; details adds recipient/title to the stamp. Cleans up on failure.
+async function issueCertificate(req, res, file, { validity, stampOptions, details = {}, source = 'Upload' }) {
+  // In pending mode the response goes out once the transaction is sent; poll
+  // the status URL for confirmation
+  const pendingMode = req.query.pending === 'true' || String(req.body.pending) === 'true';
+  const result = await issueDocument(file, {
+    validity,
+    stampOptions,
+    details,
+    source,
+    pending: pendingMode,
+    isPrivate: parsePrivateField(req.body),
+    requestedBy: getRequester(req)
+  });
+
+  if (!result.success) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    return res.status(result.code === 'NOT_ISSUER' ? 403 : 500).json({ error: result.error, details: result.details });
+  }
+
+  const { record } = result;
+
+  res.status(result.pending ? 202 : 200).json({
+    success: true,
+    status: result.pending ? 'PENDING' : 'CONFIRMED',
+    statusUrl: `${PUBLIC_BASE_URL}/api/certificates/${encodeURIComponent(record.certificateNumber)}/status`,
+    certificateNumber: record.certificateNumber,
+    documentHash: record.documentHash,
+    certifiedHash: record.certifiedHash,
+    private: Boolean(record.private),
+    issuer: record.issuer,
+    validFrom: record.validFrom || null,
+    validUntil: record.validUntil || null,
+    template: record.template,
+    supersedes: record.supersedes || null,
+    fileName: file.originalname,
+    certifiedFileName: record.certifiedFileName,
+    fileSize: file.size,
+    txHash: record.txHash,
+    blockNumber: record.blockNumber || null,
+    downloadUrl: getDownloadUrl(record.certificateNumber),
+    qrData: JSON.stringify({ cert: record.certificateNumber, hash: record.documentHash }),
+    message: result.pending ?
+      'Document certified and registration sent. It becomes verifiable once the transaction is confirmed.' :
+      'Document certified! QR data embedded in PDF. Simply upload the certified PDF to verify.'
+  });
+}
+
+// Upload endpoint
+app.post('/api/upload', requireIssuer, upload.single('document'), async (req, res) => {
+  let filePath = null;
+  
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    filePath = req.file.path;
+
+    // Optional validity window (licences, permits)
+    const { validity, error: validityError } = parseValidityFields(req.body);
+
+    if (validityError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: validityError });
+    }
+
+    // Optional certificate template and extra stamp fields
+    const stampOptions = parseStampOptions(req.body);
+
+    if (stampOptions.error) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: stampOptions.error });
+    }
+
+    await issueCertificate(req, res, req.file, { validity, stampOptions });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Certify many documents at once, anchoring only their Merkle root on blockchain
+app.post('/api/batches', requireIssuer, upload.array('documents', MAX_BATCH_FILES), async (req, res) => {
+  const files = req.files || [];
+  const removeUploads = () => files.forEach(file => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+  
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { validity, error: validityError } = parseValidityFields(req.body);
+
+    if (validityError) {
+      removeUploads();
+      return res.status(400).json({ error: validityError });
+    }
+
+    const stampOptions = parseStampOptions(req.body);
+
+    if (stampOptions.error) {
+      removeUploads();
+      return res.status(400).json({ error: stampOptions.error });
+    }
+
+    const issuerInfo = await blockchainService.getSignerIssuer();
+
+    if (!issuerInfo.success) {
+      removeUploads();
+      return res.status(500).json({ error: 'Issuer lookup failed', details: issuerInfo.error });
+    }
+
+    if (!issuerInfo.active) {
+      removeUploads();
+      return res.status(403).json({ 
+        error: 'Not an authorized issuer',
+        details: `Signer ${issuerInfo.address} is not registered as an active issuer on the contract`
+      });
+    }
+
+    // Stamp every document first: the leaves commit to the certified output,
+    // so the documents can't carry the batch root or their proof
+    const isPrivate = parsePrivateField(req.body);
+    const usedNumbers = new Set();
+    const entries = [];
+    for (const file of files) {
+      let certificateNumber = generateCertificateNumber();
+      while (usedNumbers.has(certificateNumber)) certificateNumber = generateCertificateNumber();
+      usedNumbers.add(certificateNumber);
+      
+      const { registeredHash, commitment } = commitDocument(generateDocumentHash(file.path), isPrivate, { fields: stampOptions.fields });
+      const certifiedPath = await processCertifiedDocument(
+        file.path,
+        certificateNumber,
+        registeredHash,
+        file.originalname,
+        {
+          issuerName: issuerInfo.name,
+          validity,
+          template: stampOptions.template,
+          fields: stampOptions.fields,
+          commitment
+        }
+      );
+      
+      entries.push({ file, certificateNumber, documentHash: registeredHash, certifiedPath });
+    }
+    
+    // One leaf per certified document: certificate number, original hash (or
+    // its commitment), certified output hash and validity window
+    const certified = entries.filter(entry => entry.certifiedPath);
+
+    if (certified.length === 0) {
+      removeUploads();
+      return res.status(500).json({ error: 'Document processing failed for every file' });
+    }
+
+    for (const entry of certified) {
+      entry.certifiedHash = generateDocumentHash(entry.certifiedPath);
+      entry.leaf = merkle.hashLeaf(entry.certificateNumber, entry.documentHash, entry.certifiedHash, validity.validFrom, validity.validUntil);
+    }
+
+    const layers = merkle.buildTree(certified.map(entry => entry.leaf));
+    const root = merkle.getRoot(layers);
+    certified.forEach((entry, index) => {
+      entry.proof = merkle.getProof(layers, index);
+    });
+
+    console.log(`Batch: ${certified.length} documents -> root ${root}`);
+
+    const blockchainResult = await blockchainService.anchorBatch(root, certified.length);
+
+    if (!blockchainResult.success) {
+      removeUploads();
+      certified.forEach(entry => fs.unlinkSync(entry.certifiedPath));
+      return res.status(500).json({ 
+        error: 'Blockchain anchoring failed', 
+        details: blockchainResult.error 
+      });
+    }
+
+    const certificates = certified.map(entry => {
+      const certifiedFileName = path.basename(entry.certifiedPath);
+      return {
+        certificateNumber: entry.certificateNumber,
+        fileName: entry.file.originalname,
+        documentHash: entry.documentHash,
+        certifiedHash: entry.certifiedHash,
+        certifiedFileName,
+        downloadUrl: getDownloadUrl(entry.certificateNumber),
+        proof: entry.proof,
+        validFrom: validity.validFrom,
+        validUntil: validity.validUntil
+      };
+    });
+
+    // Files that failed processing are left out of the tree
+    const failed = entries
+      .filter(entry => !entry.certifiedPath)
+      .map(entry => ({
+        certificateNumber: entry.certificateNumber,
+        fileName: entry.file.originalname,
+        error: 'Document processing failed'
+      }));
+
+    registry.addMany(certificates.map(certificate => ({
+      certificateNumber: certificate.certificateNumber,
+      originalFileName: certificate.fileName,
+      documentHash: certificate.documentHash,
+      certifiedHash: certificate.certifiedHash,
+      txHash: blockchainResult.txHash,
+      blockNumber: blockchainResult.blockNumber,
+      issuer: { address: issuerInfo.address, name: issuerInfo.name },
+      certifiedFileName: certificate.certifiedFileName,
+      outputPath: path.relative(__dirname, path.join(certifiedDir, certificate.certifiedFileName)),
+      validFrom: certificate.validFrom,
+      validUntil: certificate.validUntil,
+      template: stampOptions.template.name,
+      batchRoot: root,
+      ...(isPrivate ? { private: true } : {}),
+      requestedBy: getRequester(req)
+    })));
+
+    saveBatchManifest({
+      root,
+      txHash: blockchainResult.txHash,
+      blockNumber: blockchainResult.blockNumber,
+      issuer: { address: issuerInfo.address, name: issuerInfo.name },
+      size: certified.length,
+      requestedBy: getRequester(req),
+      createdAt: new Date().toISOString(),
+      certificates,
+      failed
+    });
+
+    res.json({
+      success: true,
+      root,
+      txHash: blockchainResult.txHash,
+      size: certified.length,
+      issuer: { address: issuerInfo.address, name: issuerInfo.name },
+      certificates,
+      failed,
+      message: `${certificates.length} of ${entries.length} documents certified in one blockchain transaction`
+    });
+
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    removeUploads();
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
 });
 
-function generateCertificateNumber() {
-  const prefix = 'CERT';
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `${prefix}-${timestamp}-${random}`;
+const MANIFEST_COLUMNS = ['filename', 'recipient', 'title', 'validfrom', 'validuntil', 'expiry', 'template', 'issuedate'];
+
+// CSV rows with lower-cased column names
+function readCSVRows(csvPath) {
+  return parseCSV(fs.readFileSync(csvPath, 'utf8'), {
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true
+  });
+}
+
+// Certificate metadata from a CSV row. Columns: recipient, title, validFrom,
+// validUntil (or expiry), template, issueDate; any other column is an extra
+// field for the template wording.
+function getRowMetadata(row) {
+  const fields = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (!MANIFEST_COLUMNS.includes(column) && value) fields[column] = value;
+  }
+  
+  return {
+    recipient: row.recipient || '',
+    title: row.title || '',
+    validFrom: row.validfrom,
+    validUntil: row.validuntil || row.expiry,
+    template: row.template || '',
+    issueDate: row.issuedate || '',
+    fields
+  };
 }
 
-function generateDocumentHash(filePath) {
-  const fileBuffer = fs.readFileSync(filePath);
-  const hashSum = crypto.createHash('sha256');
-  hashSum.update(fileBuffer);
-  return hashSum.digest('hex');
+// Parse a CSV manifest into per-file metadata keyed by the filename column
+function parseBatchManifest(csvPath) {
+  const entries = new Map();
+  for (const row of readCSVRows(csvPath)) {
+    if (row.filename) entries.set(row.filename, getRowMetadata(row));
+  }
+  
+  return entries;
 }
 
-// Generate QR Code as buffer and save
-async function generateQRCode(certificateNumber, documentHash) {
+// Certify one file of a bulk upload with its own blockchain registration.
+// defaults are the request fields (validity, template, fields) that manifest
+// rows override. Never throws - failures are returned so the rest of the batch carries on.
+async function certifyBatchFile(file, metadata, defaults, requestedBy) {
+  const report = {
+    fileName: file.originalname,
+    status: 'failed',
+    certificateNumber: '',
+    documentHash: '',
+    certifiedHash: '',
+    txHash: '',
+    certifiedFileName: '',
+    error: ''
+  };
+  
   try {
-    const verificationData = JSON.stringify({
-      cert: certificateNumber,
-      hash: documentHash
+    const parsed = parseValidityFields({
+      validFrom: metadata.validFrom || defaults.validFrom || '',
+      validUntil: metadata.validUntil || defaults.validUntil || ''
+    });
+    
+    if (parsed.error) throw new Error(parsed.error);
+    
+    const stampOptions = parseStampOptions({
+      template: metadata.template || defaults.template,
+      fields: defaults.fields
+    });
+    
+    if (stampOptions.error) throw new Error(stampOptions.error);
+    
+    const result = await issueDocument(file, {
+      validity: parsed.validity,
+      stampOptions: { ...stampOptions, fields: { ...stampOptions.fields, ...metadata.fields } },
+      details: {
+        ...(metadata.recipient ? { recipient: metadata.recipient } : {}),
+        ...(metadata.title ? { title: metadata.title } : {})
+      },
+      isPrivate: parsePrivateField(defaults),
+      requestedBy,
+      source: 'Bulk upload'
     });
     
-    const qrBuffer = await QRCode.toBuffer(verificationData, {
-      width: 100,
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
+    if (!result.success) {
+      throw new Error(result.details ? `${result.error}: ${result.details}` : result.error);
+    }
+    
+    const { record } = result;
+    Object.assign(report, {
+      status: 'certified',
+      certificateNumber: record.certificateNumber,
+      documentHash: record.documentHash,
+      certifiedHash: record.certifiedHash,
+      txHash: record.txHash,
+      certifiedFileName: record.certifiedFileName
+    });
+    return { report, certifiedPath: path.join(__dirname, record.outputPath) };
+  } catch (error) {
+    console.error(`Batch file error (${file.originalname}):`, error.message);
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    report.error = error.message;
+    return { report, certifiedPath: null };
+  }
+}
+
+// Bulk results: a ZIP of the certified outputs plus report.json/report.csv,
+// or just the JSON report with ?format=json
+function sendBatchReports(req, res, reports, outputs) {
+  const certifiedCount = reports.filter(report => report.status === 'certified').length;
+
+  if (req.query.format === 'json') {
+    return res.json({
+      success: certifiedCount > 0,
+      certified: certifiedCount,
+      failed: reports.length - certifiedCount,
+      results: reports.map(report => ({
+        ...report,
+        downloadUrl: report.certifiedFileName ? getDownloadUrl(report.certificateNumber) : ''
+      }))
+    });
+  }
+
+  const zip = new JSZip();
+  for (const outputPath of outputs) {
+    zip.file(`certified/${path.basename(outputPath)}`, fs.createReadStream(outputPath));
+  }
+  zip.file('report.json', JSON.stringify(reports, null, 2));
+  zip.file('report.csv', stringifyCSV(reports, { header: true }));
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="certified-batch-${Date.now()}.zip"`);
+  zip.generateNodeStream({ streamFiles: true, compression: 'DEFLATE' }).pipe(res);
+}
+
+// Bulk certification: every file gets its own certificate and registration,
+// with optional per-file metadata from a CSV manifest. Returns a ZIP of the
+// certified outputs plus report.json/report.csv (or just the JSON report
+// with ?format=json).
+app.post('/api/upload/batch', requireIssuer, batchUpload.fields([
+  { name: 'documents', maxCount: MAX_BATCH_FILES },
+  { name: 'manifest', maxCount: 1 }
+]), async (req, res) => {
+  const files = (req.files && req.files.documents) || [];
+  const manifestFile = req.files && req.files.manifest && req.files.manifest[0];
+  
+  try {
+    if (files.length === 0) {
+      if (manifestFile) fs.unlinkSync(manifestFile.path);
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    let manifest = new Map();
+    if (manifestFile) {
+      try {
+        manifest = parseBatchManifest(manifestFile.path);
+      } catch (e) {
+        files.forEach(file => fs.unlinkSync(file.path));
+        return res.status(400).json({ error: 'Invalid CSV manifest', details: e.message });
+      } finally {
+        fs.unlinkSync(manifestFile.path);
       }
+    }
+
+    const issuerInfo = await blockchainService.getSignerIssuer();
+
+    if (!issuerInfo.success || !issuerInfo.active) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return res.status(issuerInfo.success ? 403 : 500).json({ 
+        error: issuerInfo.success ? 'Not an authorized issuer' : 'Issuer lookup failed',
+        details: issuerInfo.error || `Signer ${issuerInfo.address} is not registered as an active issuer on the contract`
+      });
+    }
+
+    console.log(`Bulk upload: ${files.length} documents${manifestFile ? ' with manifest' : ''}`);
+
+    const reports = [];
+    const outputs = [];
+
+    // Sequential on purpose: registrations share the signer's nonce
+    for (const file of files) {
+      const metadata = manifest.get(file.originalname) || {};
+      const { report, certifiedPath } = await certifyBatchFile(file, metadata, req.body, getRequester(req));
+      reports.push(report);
+      if (certifiedPath) outputs.push(certifiedPath);
+    }
+
+    const certifiedCount = reports.filter(report => report.status === 'certified').length;
+    console.log(`✓ Bulk upload: ${certifiedCount} of ${reports.length} certified`);
+
+    sendBatchReports(req, res, reports, outputs);
+
+  } catch (error) {
+    console.error('Bulk upload error:', error);
+    files.forEach(file => {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
     });
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Render a certificate from recipient data into the uploads directory.
+// Returns a file like multer's ({ path, originalname, size }); throws when
+// the template can't render the data (e.g. characters its fonts lack).
+async function generateCertificateFile(metadata, template, fields, issuerName) {
+  const recipient = metadata.recipient.trim();
+  const bytes = await generator.renderCertificate(template, {
+    ...fields,
+    recipient,
+    title: metadata.title || '',
+    issuerName,
+    issueDate: metadata.issueDate || new Date().toISOString().split('T')[0]
+  });
+  
+  const filePath = path.join(uploadsDir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`);
+  fs.writeFileSync(filePath, bytes);
+  
+  const slug = recipient.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'recipient';
+  return { path: filePath, originalname: `certificate-${slug}.pdf`, size: bytes.length };
+}
+
+// Issue a certificate generated from data instead of an uploaded file.
+// JSON body: recipient, title, issueDate, template, fields, validFrom,
+// validUntil, pending. Responds like /api/upload.
+app.post('/api/certificates/generate', requireIssuer, async (req, res) => {
+  let file = null;
+  
+  try {
+    const body = req.body || {};
+    
+    if (!body.recipient || !String(body.recipient).trim()) {
+      return res.status(400).json({ error: 'Recipient is required' });
+    }
     
-    // Also save QR code as file for reference
-    const qrFilePath = path.join(qrDir, `${certificateNumber}.png`);
-    fs.writeFileSync(qrFilePath, qrBuffer);
+    const { validity, error: validityError } = parseValidityFields(body);
+    const stampOptions = parseStampOptions(body);
     
-    console.log(`✓ QR Code generated for: ${certificateNumber}`);
-    return qrBuffer;
+    if (validityError || stampOptions.error) {
+      return res.status(400).json({ error: validityError || stampOptions.error });
+    }
+    
+    const issuerInfo = await blockchainService.getSignerIssuer();
+    
+    if (!issuerInfo.success) {
+      return res.status(500).json({ error: 'Issuer lookup failed', details: issuerInfo.error });
+    }
+    
+    const metadata = {
+      recipient: String(body.recipient),
+      title: body.title ? String(body.title) : '',
+      issueDate: body.issueDate ? String(body.issueDate) : ''
+    };
+    
+    try {
+      file = await generateCertificateFile(metadata, stampOptions.template, stampOptions.fields, issuerInfo.name);
+    } catch (e) {
+      return res.status(400).json({ error: 'Certificate could not be rendered', details: e.message });
+    }
+    
+    await issueCertificate(req, res, file, {
+      validity,
+      stampOptions,
+      details: { recipient: metadata.recipient, title: metadata.title },
+      source: 'Generate'
+    });
+    
+  } catch (error) {
+    console.error('Generate error:', error);
+    if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Generate and issue one certificate per row of a recipients CSV (columns as
+// for bulk upload manifests, with recipient required). Template, fields and
+// validity in the form are defaults for every row. Responds like /api/upload/batch.
+app.post('/api/certificates/generate/batch', requireIssuer, batchUpload.single('recipients'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No recipients CSV uploaded' });
+    }
+    
+    let rows;
+    try {
+      rows = readCSVRows(req.file.path);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid recipients CSV', details: e.message });
+    } finally {
+      fs.unlinkSync(req.file.path);
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'Recipients CSV has no rows' });
+    }
+    
+    if (rows.length > MAX_BATCH_FILES) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_FILES} recipients per request` });
+    }
+    
+    const defaults = parseStampOptions(req.body);
+    
+    if (defaults.error) {
+      return res.status(400).json({ error: defaults.error });
+    }
+    
+    const issuerInfo = await blockchainService.getSignerIssuer();
+    
+    if (!issuerInfo.success || !issuerInfo.active) {
+      return res.status(issuerInfo.success ? 403 : 500).json({ 
+        error: issuerInfo.success ? 'Not an authorized issuer' : 'Issuer lookup failed',
+        details: issuerInfo.error || `Signer ${issuerInfo.address} is not registered as an active issuer on the contract`
+      });
+    }
+    
+    console.log(`Generate batch: ${rows.length} recipients`);
+    
+    const reports = [];
+    const outputs = [];
+    
+    // Sequential on purpose: registrations share the signer's nonce
+    for (const [index, row] of rows.entries()) {
+      const metadata = getRowMetadata(row);
+      const stampOptions = parseStampOptions({ template: metadata.template || req.body.template });
+      let file;
+      
+      try {
+        if (!metadata.recipient) throw new Error('Recipient is required');
+        if (stampOptions.error) throw new Error(stampOptions.error);
+        
+        file = await generateCertificateFile(
+          metadata,
+          stampOptions.template,
+          { ...defaults.fields, ...metadata.fields },
+          issuerInfo.name
+        );
+      } catch (e) {
+        reports.push({
+          fileName: `row ${index + 2}`,
+          status: 'failed',
+          certificateNumber: '',
+          documentHash: '',
+          certifiedHash: '',
+          txHash: '',
+          certifiedFileName: '',
+          error: e.message
+        });
+        continue;
+      }
+      
+      const { report, certifiedPath } = await certifyBatchFile(file, metadata, req.body, getRequester(req));
+      reports.push(report);
+      if (certifiedPath) outputs.push(certifiedPath);
+    }
+    
+    const certifiedCount = reports.filter(report => report.status === 'certified').length;
+    console.log(`✓ Generate batch: ${certifiedCount} of ${reports.length} certified`);
+    
+    sendBatchReports(req, res, reports, outputs);
+    
+  } catch (error) {
+    console.error('Generate batch error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Stand-in document for template previews: a page of grey text lines, so
+// it shows whether the stamp would cover content
+async function createSamplePDF(outputPath) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage(PageSizes.A4);
+  const { width, height } = page.getSize();
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  
+  page.drawText('Sample Document', { x: 60, y: height - 100, size: 24, font, color: rgb(0.3, 0.3, 0.3) });
+  
+  for (let y = height - 150; y > 40; y -= 18) {
+    page.drawLine({
+      start: { x: 60, y },
+      end: { x: width - (y % 5 === 0 ? 160 : 60), y },
+      thickness: 6,
+      color: rgb(0.85, 0.85, 0.85),
+    });
+  }
+  
+  fs.writeFileSync(outputPath, await pdfDoc.save());
+}
+
+// Certificate templates available for uploads
+app.get('/api/templates', requireIssuer, (req, res) => {
+  res.json({ success: true, templates: templates.list() });
+});
+
+// Render a template onto the uploaded document (or a sample page) without
+// registering anything. Returns the watermarked file.
+app.post('/api/templates/:name/preview', requireIssuer, upload.single('document'), async (req, res) => {
+  let inputPath = req.file ? req.file.path : null;
+  let outputPath = null;
+  const cleanUp = () => [inputPath, outputPath].forEach(filePath => {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  });
+  
+  try {
+    if (!templates.get(req.params.name)) {
+      cleanUp();
+      return res.status(404).json({ error: `Unknown template: ${req.params.name}` });
+    }
+    
+    const stampOptions = parseStampOptions({ ...req.body, template: req.params.name });
+    const { validity, error: validityError } = parseValidityFields(req.body);
+    
+    if (stampOptions.error || validityError) {
+      cleanUp();
+      return res.status(400).json({ error: stampOptions.error || validityError });
+    }
+    
+    if (!inputPath) {
+      inputPath = path.join(tempDir, `preview-sample-${Date.now()}.pdf`);
+      await createSamplePDF(inputPath);
+    }
+    
+    const issuerInfo = await blockchainService.getSignerIssuer();
+    
+    outputPath = await processCertifiedDocument(
+      inputPath,
+      'CERT-PREVIEW',
+      generateDocumentHash(inputPath),
+      req.file ? req.file.originalname : 'sample.pdf',
+      {
+        issuerName: issuerInfo.success ? issuerInfo.name : getRequester(req).name,
+        validity,
+        recipient: req.body.recipient,
+        title: req.body.title,
+        template: stampOptions.template,
+        fields: stampOptions.fields,
+        preview: true
+      }
+    );
+    
+    if (!outputPath) {
+      cleanUp();
+      return res.status(500).json({ 
+        error: 'Preview rendering failed',
+        details: 'The template could not be applied to this document; check the server log'
+      });
+    }
+    
+    console.log(`✓ Template preview: ${req.params.name}`);
+    res.setHeader('Content-Disposition', `inline; filename="preview-${req.params.name}${path.extname(outputPath)}"`);
+    res.sendFile(outputPath, (err) => {
+      if (err) console.error('Preview send error:', err);
+      cleanUp();
+    });
+    
+  } catch (error) {
+    console.error('Template preview error:', error);
+    cleanUp();
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Batch details: on-chain anchor plus the stored manifest
+app.get('/api/batches/:root', verifyLimiter, async (req, res) => {
+  try {
+    const manifest = loadBatchManifest(req.params.root);
+    
+    if (!manifest) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const batchInfo = await blockchainService.getBatch(manifest.root);
+    
+    if (!batchInfo.success) {
+      return res.status(500).json({ error: 'Batch lookup failed', details: batchInfo.error });
+    }
+    
+    res.json({
+      success: true,
+      anchored: batchInfo.exists,
+      anchoredAt: batchInfo.exists ? new Date(batchInfo.timestamp * 1000).toLocaleString() : null,
+      ...manifest
+    });
+  } catch (error) {
+    console.error('Batch lookup error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Verify by scanning QR code data manually
+app.post('/api/verify-qr', verifyLimiter, async (req, res) => {
+  try {
+    const { qrData } = req.body;
+    
+    if (!qrData) {
+      return res.status(400).json({ error: 'QR data is required' });
+    }
+    
+    const parsedData = parseQRData(qrData);
+    
+    if (!parsedData) {
+      return res.status(400).json({ error: 'Invalid QR data format' });
+    }
+    
+    const { cert, hash } = parsedData;
+    
+    if (!cert || !hash) {
+      return res.status(400).json({ error: 'Invalid QR data: missing cert or hash' });
+    }
+
+    // Verify against blockchain
+    const result = await lookupCertificate(parsedData);
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Verification failed', details: result.error });
+    }
+
+    const { revocation, validity, versions } = result;
+    const isCurrent = !validity || validity.status === 'VALID';
+    const isSuperseded = Boolean(versions && versions.supersededBy);
+
+    let status;
+    let message;
+    if (revocation) {
+      status = 'REVOKED';
+      message = `✗ REVOKED - Certificate was revoked on ${revocation.revocationDate} (${revocation.reason})`;
+    } else if (result.hashMatches && isSuperseded) {
+      status = 'SUPERSEDED';
+      message = getSupersededMessage(versions);
+    } else if (result.hashMatches && !isCurrent) {
+      status = validity.status;
+      message = getValidityMessage(validity);
+    } else if (result.hashMatches) {
+      status = 'VALID';
+      message = '✓ VALID - Certificate verified on blockchain';
+    } else {
+      status = 'INVALID';
+      message = '✗ INVALID - Certificate not found or has been tampered with';
+    }
+
+    res.json({
+      success: true,
+      isValid: result.hashMatches && !revocation && !isSuperseded && isCurrent,
+      status,
+      certificateNumber: cert,
+      timestamp: result.timestamp,
+      registeredHash: result.registeredHash,
+      scannedHash: hash,
+      issuer: result.issuer,
+      registrationDate: new Date(result.timestamp * 1000).toLocaleString(),
+      registration: result.exists ? getRegistrationTx(cert, parsedData.root) : null,
+      revocation,
+      validity,
+      versions,
+      batch: result.batch,
+      message
+    });
+
+  } catch (error) {
+    console.error('QR verification error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// The certified document, plus for a detached certificate the original file it covers
+const verifyUpload = upload.fields([
+  { name: 'document', maxCount: 1 },
+  { name: 'original', maxCount: 1 }
+]);
+
+// Verify by uploading CERTIFIED document (extracts QR automatically)
+app.post('/api/verify-upload', verifyLimiter, verifyUpload, async (req, res) => {
+  const document = req.files && req.files.document ? req.files.document[0] : null;
+  const original = req.files && req.files.original ? req.files.original[0] : null;
+  
+  try {
+    if (!document) {
+      if (original) fs.unlinkSync(original.path);
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const filePath = document.path;
+    const ext = path.extname(document.originalname).toLowerCase();
+
+    console.log(`Verify upload: ${document.originalname}${original ? ` with original ${original.originalname}` : ''}`);
+
+    // Hash the uploaded bytes so edits to the body are caught, not just the metadata
+    const uploadedHash = generateDocumentHash(filePath);
+    const originalHash = original ? generateDocumentHash(original.path) : null;
+    
+    // Embedded PDF signature, checked independently of the chain
+    const signature = ext === '.pdf' ? pdfSigner.verify(fs.readFileSync(filePath)) : null;
+
+    // Certificate data from the metadata, text footer or QR image
+    const { qrData, qrSource } = await extractCertificateData(filePath, document.originalname);
+
+    // Clean up uploaded files
+    fs.unlinkSync(filePath);
+    if (original) fs.unlinkSync(original.path);
+
+    if (!qrData) {
+      return res.status(400).json({ 
+        error: 'No certificate found in document',
+        message: 'This document does not appear to be a certified document. Please upload a certified document with QR code.'
+      });
+    }
+
+    console.log(`Extracted QR data (${qrSource}): ${qrData.substring(0, 50)}...`);
+
+    // Parse QR data
+    const parsedData = parseQRData(qrData);
+    
+    if (!parsedData) {
+      return res.status(400).json({ error: 'Invalid certificate data in document' });
+    }
+
+    const { cert, hash } = parsedData;
+
+    if (!cert || !hash) {
+      return res.status(400).json({ error: 'Invalid certificate: missing data' });
+    }
+
+    // Verify with blockchain
+    const result = await lookupCertificate(parsedData);
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Verification failed', details: result.error });
+    }
+
+    // Metadata must match the registered original hash, and the uploaded bytes
+    // must match the registered certified output. A photo of a printed copy
+    // can't be compared byte for byte, so unless it happens to be the exact
+    // certified file its content goes unchecked and it is never reported valid.
+    const metadataMatches = result.hashMatches && (hash === result.registeredHash);
+    let contentMatches = result.certifiedHash ?
+      uploadedHash === result.certifiedHash :
+      null;
+    if (isImageFile(document.originalname) && contentMatches === false) {
+      contentMatches = null;
+    }
+    // A broken embedded signature means the PDF was changed after signing
+    const signatureIntact = signature && signature.signed ?
+      signature.valid && !signature.modifiedAfterSigning :
+      null;
+    // A detached certificate vouches for the original file by its hash (by
+    // its salted commitment for private certificates)
+    const originalMatches = originalHash ?
+      commitments.getRegisteredHash(originalHash, parsedData) === result.registeredHash :
+      null;
+    const isAuthentic = metadataMatches && contentMatches !== false && signatureIntact !== false &&
+      originalMatches !== false;
+    // Nothing vouched for the uploaded bytes themselves
+    const contentUnverified = contentMatches === null && !originalMatches;
+    const { revocation, validity, versions } = result;
+    const isCurrent = !validity || validity.status === 'VALID';
+    const isSuperseded = Boolean(versions && versions.supersededBy);
+    const isValid = isAuthentic && !contentUnverified && !revocation && !isSuperseded && isCurrent;
+
+    let status;
+    let message;
+    if (!result.exists) {
+      status = 'NOT_FOUND';
+      message = '✗ INVALID - Certificate not found on blockchain';
+    } else if (!isAuthentic) {
+      status = 'TAMPERED';
+      message = '✗ TAMPERED - Document content does not match the certified original';
+    } else if (revocation) {
+      status = 'REVOKED';
+      message = `✗ REVOKED - Certificate was revoked on ${revocation.revocationDate} (${revocation.reason})`;
+    } else if (isSuperseded) {
+      status = 'SUPERSEDED';
+      message = getSupersededMessage(versions);
+    } else if (!isCurrent) {
+      status = validity.status;
+      message = getValidityMessage(validity);
+    } else if (contentUnverified) {
+      status = 'UNVERIFIED_CONTENT';
+      message = qrSource === 'image' ?
+        '⚠ UNVERIFIED - Certificate from the scanned QR code is on blockchain, but the content can\'t be checked (compare it with the issuer\'s records)' :
+        '⚠ UNVERIFIED - Certificate is on blockchain, but no certified file was recorded to check the content against';
+    } else {
+      status = 'AUTHENTIC';
+      if (originalMatches) {
+        message = '✓ VALID - The file matches its certificate and is unmodified since certification';
+      } else if (parsedData.detached) {
+        message = '✓ VALID - Certificate is verified on blockchain (upload the original file with it to check the file)';
+      } else {
+        message = '✓ VALID - Document is authentic and unmodified since certification';
+      }
+    }
+
+    res.json({
+      success: true,
+      isValid: isValid,
+      status,
+      certificateNumber: cert,
+      timestamp: result.timestamp,
+      registeredHash: result.registeredHash,
+      extractedHash: hash,
+      registeredCertifiedHash: result.certifiedHash,
+      uploadedHash,
+      qrSource,
+      contentVerified: contentMatches === true,
+      detached: Boolean(parsedData.detached),
+      originalHash,
+      originalVerified: originalMatches === true,
+      signature,
+      issuer: result.issuer,
+      registrationDate: new Date(result.timestamp * 1000).toLocaleString(),
+      revocation,
+      validity,
+      versions,
+      batch: result.batch,
+      message
+    });
+
+  } catch (error) {
+    console.error('Verify upload error:', error);
+    for (const file of [document, original]) {
+      if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Certificates registered for a file hash, as original or certified file.
+// The chain index covers certificates issued anywhere; the local registry
+// adds batch certificates (only their Merkle root is on chain) and ones
+// not indexed yet.
+function findCertificatesByHash(hash) {
+  const candidates = new Map();
+  
+  if (indexer.state) {
+    for (const certificate of indexer.findByHash(hash)) {
+      candidates.set(certificate.certificateNumber, { cert: certificate.certificateNumber });
+    }
+  }
+  
+  for (const record of registry.findByHash(hash)) {
+    candidates.set(record.certificateNumber, { cert: record.certificateNumber, root: record.batchRoot || null });
+  }
+  
+  return Array.from(candidates.values());
+}
+
+// Check a file hash against one certificate. The hash may be the original
+// file's (registered hash) or the certified output's.
+async function verifyHash(cert, hash, root) {
+  const payload = { cert, hash };
+  if (root) payload.root = root;
+  
+  const result = await lookupCertificate(payload);
+  if (!result.success) return result;
+  
+  let matchedFile = null;
+  if (result.hashMatches) matchedFile = 'original';
+  else if (result.certifiedHash && result.certifiedHash === hash) matchedFile = 'certified';
+  
+  const { revocation, validity, versions } = result;
+  const isCurrent = !validity || validity.status === 'VALID';
+  
+  let status;
+  let message;
+  if (!result.exists) {
+    status = 'NOT_FOUND';
+    message = '✗ INVALID - Certificate not found on blockchain';
+  } else if (!matchedFile) {
+    status = 'TAMPERED';
+    message = '✗ TAMPERED - File does not match the certified document';
+  } else if (revocation) {
+    status = 'REVOKED';
+    message = `✗ REVOKED - Certificate was revoked on ${revocation.revocationDate} (${revocation.reason})`;
+  } else if (versions && versions.supersededBy) {
+    status = 'SUPERSEDED';
+    message = getSupersededMessage(versions);
+  } else if (!isCurrent) {
+    status = validity.status;
+    message = getValidityMessage(validity);
+  } else {
+    status = 'AUTHENTIC';
+    message = matchedFile === 'original' ?
+      '✓ VALID - File is the certified original, unmodified since certification' :
+      '✓ VALID - File is the certified document, unmodified since certification';
+  }
+  
+  return {
+    success: true,
+    isValid: status === 'AUTHENTIC',
+    status,
+    certificateNumber: cert,
+    matchedFile,
+    timestamp: result.timestamp,
+    registeredHash: result.registeredHash,
+    registeredCertifiedHash: result.certifiedHash,
+    issuer: result.issuer,
+    registrationDate: result.exists ? new Date(result.timestamp * 1000).toLocaleString() : null,
+    registration: result.exists ? getRegistrationTx(cert, root) : null,
+    revocation,
+    validity,
+    versions,
+    batch: result.batch,
+    message
+  };
+}
+
+// Verify any file by its content: upload the file (or send its SHA-256 as
+// documentHash, e.g. computed in the browser) with or without a certificate
+// number. Without one, every certificate registered for the hash is checked.
+app.post('/api/verify', verifyLimiter, upload.single('document'), async (req, res) => {
+  try {
+    let documentHash = req.body.documentHash;
+    
+    if (req.file) {
+      documentHash = generateDocumentHash(req.file.path);
+      fs.unlinkSync(req.file.path);
+    }
+    
+    if (!documentHash) {
+      return res.status(400).json({ error: 'A document or documentHash is required' });
+    }
+    
+    if (!/^[0-9a-fA-F]{64}$/.test(documentHash)) {
+      return res.status(400).json({ error: 'documentHash must be a SHA-256 hash (64 hex characters)' });
+    }
+    
+    documentHash = documentHash.toLowerCase();
+    const certificateNumber = (req.body.certificateNumber || '').trim();
+    
+    let candidates;
+    if (certificateNumber) {
+      const record = registry.get(certificateNumber);
+      candidates = [{ cert: certificateNumber, root: record ? record.batchRoot || null : null }];
+    } else {
+      candidates = findCertificatesByHash(documentHash);
+    }
+    
+    const certificates = [];
+    for (const { cert, root } of candidates) {
+      const result = await verifyHash(cert, documentHash, root);
+      
+      if (!result.success) {
+        return res.status(500).json({ error: 'Verification failed', details: result.error });
+      }
+      
+      certificates.push(result);
+    }
+    
+    // Lead with a valid certificate when the file has several
+    const best = certificates.find(certificate => certificate.isValid) || certificates[0];
+    
+    if (!best) {
+      return res.json({
+        success: true,
+        isValid: false,
+        status: 'NOT_FOUND',
+        providedHash: documentHash,
+        certificates,
+        message: '✗ INVALID - No certificate is registered for this file'
+      });
+    }
+    
+    res.json({
+      ...best,
+      providedHash: documentHash,
+      certificates
+    });
+  } catch (error) {
+    console.error('Verify by content error:', error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Check a credential exported by /api/certificates/:cert/credential (from a
+// wallet or another registrar): its signature, and the certificate it anchors
+// on this server's contract. Send the credential as the JSON body or upload
+// it as a `credential` file.
+app.post('/api/credentials/verify', verifyLimiter, upload.single('credential'), async (req, res) => {
+  try {
+    let credential = req.body.credential || req.body;
+    
+    if (req.file) {
+      const content = fs.readFileSync(req.file.path, 'utf8');
+      fs.unlinkSync(req.file.path);
+      try {
+        credential = JSON.parse(content);
+      } catch (e) {
+        return res.status(400).json({ error: 'Credential file is not valid JSON' });
+      }
+    }
+    
+    if (!credential || typeof credential !== 'object' || !credential.proof) {
+      return res.status(400).json({ error: 'A signed credential is required' });
+    }
+    
+    const anchor = credentials.getCredentialAnchor(credential);
+    
+    if (!anchor || !anchor.certificateNumber || !anchor.documentHash) {
+      return res.status(400).json({ error: 'Credential has no blockchain anchor evidence' });
+    }
+    
+    const signature = credentials.verifyCredentialSignature(credential);
+    const cert = anchor.certificateNumber;
+    const contractAddress = await blockchainService.contract.getAddress();
+    const sameContract = anchor.chainId === blockchainService.chainId &&
+      String(anchor.contractAddress).toLowerCase() === contractAddress.toLowerCase();
+    
+    let result = null;
+    if (signature.valid && sameContract) {
+      const payload = { cert, hash: anchor.documentHash };
+      if (anchor.merkleRoot) payload.root = anchor.merkleRoot;
+      
+      result = await lookupCertificate(payload);
+      
+      if (!result.success) {
+        return res.status(500).json({ error: 'Verification failed', details: result.error });
+      }
+    }
+    
+    const issuerMatches = Boolean(result && result.issuer && signature.issuer &&
+      result.issuer.address.toLowerCase() === signature.issuer.address.toLowerCase());
+    const revocation = result ? result.revocation : null;
+    const validity = result ? result.validity : null;
+    const versions = result ? result.versions : null;
+    
+    let status;
+    let message;
+    if (!signature.valid) {
+      status = 'INVALID_SIGNATURE';
+      message = `✗ INVALID - ${signature.error}`;
+    } else if (!sameContract) {
+      status = 'UNKNOWN_ANCHOR';
+      message = '✗ UNVERIFIED - Credential is anchored on another chain or contract';
+    } else if (!result.exists) {
+      status = 'NOT_FOUND';
+      message = '✗ INVALID - Certificate not found on blockchain';
+    } else if (!result.hashMatches) {
+      status = 'TAMPERED';
+      message = '✗ TAMPERED - Document hash in the credential does not match the blockchain';
+    } else if (!issuerMatches) {
+      status = 'ISSUER_MISMATCH';
+      message = '✗ INVALID - Credential was signed by an account that did not register this certificate';
+    } else if (revocation) {
+      status = 'REVOKED';
+      message = `✗ REVOKED - Certificate was revoked on ${revocation.revocationDate} (${revocation.reason})`;
+    } else if (versions && versions.supersededBy) {
+      status = 'SUPERSEDED';
+      message = getSupersededMessage(versions);
+    } else if (validity && validity.status !== 'VALID') {
+      status = validity.status;
+      message = getValidityMessage(validity);
+    } else {
+      status = 'VALID';
+      message = '✓ VALID - Credential signature and blockchain registration verified';
+    }
+    
+    console.log(`Credential verification: ${cert} -> ${status}`);
+    
+    res.json({
+      success: true,
+      isValid: status === 'VALID',
+      status,
+      certificateNumber: cert,
+      checks: {
+        signature: signature.valid,
+        anchor: Boolean(result && result.exists && result.hashMatches),
+        issuer: issuerMatches
+      },
+      signer: signature.signer || null,
+      issuer: result ? result.issuer : null,
+      registrationDate: result && result.exists ? new Date(result.timestamp * 1000).toLocaleString() : null,
+      revocation,
+      validity,
+      versions,
+      batch: result ? result.batch : null,
+      message
+    });
+  } catch (error) {
+    console.error('Credential verification error:', error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Selective disclosure for a private certificate: upload its certified
+// document with fields, the names to reveal (comma-separated or a JSON
+// array). The disclosure shows those fields only; the document and every
+// other field stay salted digests.
+app.post('/api/disclosures', verifyLimiter, upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const { qrData } = await extractCertificateData(req.file.path, req.file.originalname);
+    fs.unlinkSync(req.file.path);
+    
+    const payload = qrData ? parseQRData(qrData) : null;
+    
+    if (!payload || !payload.cert || !payload.hash) {
+      return res.status(400).json({ error: 'No certificate found in document' });
+    }
+    
+    let names = req.body.fields || [];
+    if (typeof names === 'string') {
+      try {
+        names = names.trim().startsWith('[') ? JSON.parse(names) : names.split(',');
+      } catch (e) {
+        return res.status(400).json({ error: 'fields must be field names, comma-separated or a JSON array' });
+      }
+    }
+    names = names.map(name => String(name).trim()).filter(Boolean);
+    
+    // Batch documents don't carry their proof; take it from the manifest so
+    // the disclosure can be checked against the anchored root on its own
+    const record = registry.get(payload.cert);
+    const batchEntry = record && record.batchRoot ? findBatchEntry(record.batchRoot, payload.cert) : null;
+    if (batchEntry) {
+      const { proof, certifiedHash, validFrom, validUntil } = batchEntry;
+      Object.assign(payload, { root: record.batchRoot, proof, certifiedHash, validFrom, validUntil });
+    }
+    
+    let disclosure;
+    try {
+      disclosure = commitments.createDisclosure(payload, names);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    
+    console.log(`Disclosure: ${payload.cert} (${names.join(', ') || 'no fields'})`);
+    res.json(disclosure);
+  } catch (error) {
+    console.error('Disclosure error:', error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Check a disclosure from /api/disclosures: the revealed fields belong to the
+// commitment, and the commitment is registered on chain. Send it as the JSON
+// body or upload it as "disclosure".
+app.post('/api/disclosures/verify', verifyLimiter, upload.single('disclosure'), async (req, res) => {
+  try {
+    let disclosure = req.body;
+    
+    if (req.file) {
+      const content = fs.readFileSync(req.file.path, 'utf8');
+      fs.unlinkSync(req.file.path);
+      try {
+        disclosure = JSON.parse(content);
+      } catch (e) {
+        return res.status(400).json({ error: 'Disclosure file is not valid JSON' });
+      }
+    }
+    
+    if (!disclosure || disclosure.type !== commitments.DISCLOSURE_TYPE || !disclosure.certificateNumber) {
+      return res.status(400).json({ error: 'A certificate disclosure is required' });
+    }
+    
+    const cert = disclosure.certificateNumber;
+    const check = commitments.verifyDisclosure(disclosure);
+    
+    let result = null;
+    if (check.valid) {
+      const payload = { cert, hash: disclosure.commitment };
+      if (disclosure.batch) {
+        const { root, proof, certifiedHash, validFrom, validUntil } = disclosure.batch;
+        Object.assign(payload, { root, proof, certifiedHash, validFrom, validUntil });
+      }
+      
+      result = await lookupCertificate(payload);
+      
+      if (!result.success) {
+        return res.status(500).json({ error: 'Verification failed', details: result.error });
+      }
+    }
+    
+    const revocation = result ? result.revocation : null;
+    const validity = result ? result.validity : null;
+    const versions = result ? result.versions : null;
+    
+    let status;
+    let message;
+    if (!check.valid) {
+      status = 'INVALID_DISCLOSURE';
+      message = `✗ INVALID - ${check.error}`;
+    } else if (!result.exists) {
+      status = 'NOT_FOUND';
+      message = '✗ INVALID - Certificate not found on blockchain';
+    } else if (!result.hashMatches) {
+      status = 'TAMPERED';
+      message = '✗ TAMPERED - Commitment in the disclosure does not match the blockchain';
+    } else if (revocation) {
+      status = 'REVOKED';
+      message = `✗ REVOKED - Certificate was revoked on ${revocation.revocationDate} (${revocation.reason})`;
+    } else if (versions && versions.supersededBy) {
+      status = 'SUPERSEDED';
+      message = getSupersededMessage(versions);
+    } else if (validity && validity.status !== 'VALID') {
+      status = validity.status;
+      message = getValidityMessage(validity);
+    } else {
+      status = 'VALID';
+      message = '✓ VALID - Disclosed fields are part of a certificate verified on blockchain';
+    }
+    
+    console.log(`Disclosure verification: ${cert} -> ${status}`);
+    
+    res.json({
+      success: true,
+      isValid: status === 'VALID',
+      status,
+      certificateNumber: cert,
+      fields: check.valid ? check.fields : null,
+      issuer: result ? result.issuer : null,
+      registrationDate: result && result.exists ? new Date(result.timestamp * 1000).toLocaleString() : null,
+      registration: result && result.exists ? getRegistrationTx(cert, disclosure.batch ? disclosure.batch.root : null) : null,
+      revocation,
+      validity,
+      versions,
+      batch: result ? result.batch : null,
+      message
+    });
+  } catch (error) {
+    console.error('Disclosure verification error:', error);
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Web UI sign-in: exchanges username/password for a session token
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const session = accounts.login(username, password);
+
+    if (!session) {
+      console.warn(`⚠ Failed sign-in for "${username}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    console.log(`✓ Signed in: ${session.account.name} (${session.account.role})`);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  accounts.logout(getBearerToken(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireRole('admin', 'issuer'), (req, res) => {
+  res.json(accounts.toPublic(req.account));
+});
+
+app.get('/api/accounts', requireAdmin, (req, res) => {
+  res.json({ accounts: accounts.list() });
+});
+
+// Create an issuer or admin account. The API key is returned only once.
+app.post('/api/accounts', requireAdmin, (req, res) => {
+  try {
+    const { name, role, username, password } = req.body || {};
+    const result = accounts.create({ name, role, username, password });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    console.log(`✓ Account created: ${result.account.name} (${result.account.role}) by ${req.account.name}`);
+    res.status(201).json({ success: true, account: result.account, apiKey: result.apiKey });
+  } catch (error) {
+    console.error('Account creation error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+app.post('/api/accounts/:id/api-key', requireAdmin, (req, res) => {
+  const apiKey = accounts.rotateApiKey(req.params.id);
+
+  if (!apiKey) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  console.log(`✓ API key rotated: ${req.params.id} by ${req.account.name}`);
+  res.json({ success: true, apiKey });
+});
+
+app.delete('/api/accounts/:id', requireAdmin, (req, res) => {
+  const account = accounts.deactivate(req.params.id);
+
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  console.log(`✓ Account deactivated: ${account.name} by ${req.account.name}`);
+  res.json({ success: true, account });
+});
+
+// List issuers registered on the contract
+app.get('/api/issuers', async (req, res) => {
+  try {
+    const result = await blockchainService.getIssuers();
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Issuer lookup failed', details: result.error });
+    }
+    
+    res.json({ success: true, issuers: result.issuers });
+  } catch (error) {
+    console.error('Issuer list error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Register an issuer address on the contract (admin only)
+app.post('/api/issuers', requireAdmin, async (req, res) => {
+  try {
+    const { address, name } = req.body || {};
+    
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Valid issuer address is required' });
+    }
+    
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Issuer name is required' });
+    }
+    
+    console.log(`Add issuer: ${address} (${name.trim()})`);
+    
+    const result = await blockchainService.addIssuer(address, name.trim());
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Issuer registration failed', details: result.error });
+    }
+    
+    res.json({
+      success: true,
+      issuer: { address, name: name.trim(), active: true },
+      txHash: result.txHash
+    });
+  } catch (error) {
+    console.error('Add issuer error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Deactivate an issuer address on the contract (admin only)
+app.delete('/api/issuers/:address', requireAdmin, async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Valid issuer address is required' });
+    }
+    
+    console.log(`Remove issuer: ${address}`);
+    
+    const result = await blockchainService.removeIssuer(address);
+    
+    if (!result.success) {
+      return res.status(500).json({ error: 'Issuer removal failed', details: result.error });
+    }
+    
+    res.json({ success: true, address, txHash: result.txHash });
+  } catch (error) {
+    console.error('Remove issuer error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Registration progress of a certificate (public, so pending uploads can poll it)
+app.get('/api/certificates/:cert/status', verifyLimiter, (req, res) => {
+  const record = registry.get(req.params.cert);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Certificate not found' });
+  }
+
+  const transaction = record.transactionId ? blockchainService.transactions.get(record.transactionId) : null;
+
+  res.json({
+    certificateNumber: record.certificateNumber,
+    status: record.status,
+    txHash: transaction ? transaction.txHash : record.txHash,
+    blockNumber: transaction ? transaction.blockNumber : record.blockNumber,
+    confirmations: transaction ? transaction.confirmations : null,
+    error: record.error || null,
+    updatedAt: record.updatedAt
+  });
+});
+
+// Every version of an amended certificate, oldest first, from the chain
+app.get('/api/certificates/:cert/versions', verifyLimiter, async (req, res) => {
+  try {
+    const documentInfo = await blockchainService.getDocument(req.params.cert);
+    
+    if (!documentInfo.success) {
+      return res.status(500).json({ error: 'Certificate lookup failed', details: documentInfo.error });
+    }
+    
+    if (!documentInfo.exists) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    
+    // Walk back to the first version, then list forward to the current one
+    let first = req.params.cert;
+    for (;;) {
+      const links = await blockchainService.getVersionLinks(first);
+      if (!links.success) throw new Error(`Version lookup failed: ${links.error}`);
+      if (!links.previousVersion) break;
+      first = links.previousVersion;
+    }
+    
+    const versions = [];
+    let next = first;
+    while (next) {
+      const info = await blockchainService.getDocument(next);
+      const links = await blockchainService.getVersionLinks(next);
+      if (!info.success) throw new Error(`Certificate lookup failed: ${info.error}`);
+      if (!links.success) throw new Error(`Version lookup failed: ${links.error}`);
+      
+      const revocation = await getRevocationDetails(next);
+      let status = 'ACTIVE';
+      if (revocation) status = 'REVOKED';
+      else if (links.supersededBy) status = 'SUPERSEDED';
+      
+      versions.push({
+        version: versions.length + 1,
+        certificateNumber: next,
+        status,
+        documentHash: info.documentHash,
+        certifiedHash: info.certifiedHash,
+        issuer: { address: info.issuer, name: info.issuerName },
+        timestamp: info.timestamp,
+        registrationDate: new Date(info.timestamp * 1000).toLocaleString(),
+        registration: getRegistrationTx(next),
+        revocation,
+        previousVersion: links.previousVersion,
+        supersededBy: links.supersededBy
+      });
+      
+      next = links.supersededBy;
+    }
+    
+    res.json({
+      success: true,
+      certificateNumber: req.params.cert,
+      currentVersion: versions[versions.length - 1].certificateNumber,
+      versions
+    });
   } catch (error) {
-    console.error('QR Code generation error:', error);
-    return null;
+    console.error('Version history error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
-}
+});
 
-// Extract QR code data from certified PDF (reads embedded QR metadata)
-async function extractQRDataFromPDF(pdfPath) {
+// List certificates issued by this server, with pagination, filters and search
+// Admins see every certificate; issuer accounts only the ones they requested
+app.get('/api/certificates', requireIssuer, (req, res) => {
   try {
-    const pdfBytes = fs.readFileSync(pdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const { page, pageSize, q, status, issuer, batchRoot, from, to } = req.query;
+    const requestedBy = req.account.role === 'admin' ? req.query.requestedBy : req.account.id;
+    const result = registry.list({ page, pageSize, q, status, issuer, batchRoot, from, to, requestedBy });
     
-    // Try to get custom metadata where we store QR data
-    const metadata = pdfDoc.getTitle();
-    
-    if (metadata && metadata.startsWith('QR:')) {
-      const qrData = metadata.substring(3);
-      console.log(`✓ QR data extracted from PDF metadata`);
-      return qrData;
-    }
-    
-    return null;
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('QR extraction error:', error);
-    return null;
+    console.error('Certificate list error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
-}
+});
 
-// Add minimal certificate footer to PDF with metadata
-async function addMinimalCertificateToPDF(inputPath, outputPath, certificateNumber, documentHash) {
+// Certificate details from the registry, with its current on-chain status
+app.get('/api/certificates/:cert', requireIssuer, async (req, res) => {
   try {
-    console.log(`Processing PDF: ${inputPath}`);
-    const existingPdfBytes = fs.readFileSync(inputPath);
-    const pdfDoc = await PDFDocument.load(existingPdfBytes);
-    
-    // Store QR data in PDF metadata for extraction
-    const qrData = JSON.stringify({ cert: certificateNumber, hash: documentHash });
-    pdfDoc.setTitle(`QR:${qrData}`);
-    pdfDoc.setSubject('Blockchain Verified Certificate');
-    pdfDoc.setKeywords([certificateNumber, 'blockchain', 'verified']);
-    
-    const pages = pdfDoc.getPages();
-    const firstPage = pages[0];
-    const { width, height } = firstPage.getSize();
-    
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    
-    // Generate QR code
-    const qrBuffer = await generateQRCode(certificateNumber, documentHash);
-    if (!qrBuffer) {
-      console.error('Failed to generate QR code');
-      return false;
-    }
-    
-    const qrImage = await pdfDoc.embedPng(qrBuffer);
-    
-    // Footer dimensions - minimal space
-    const qrSize = 60;
-    const footerHeight = 70;
-    const marginBottom = 15;
-    const footerY = marginBottom;
-    
-    // Draw white background for footer
-    firstPage.drawRectangle({
-      x: 0,
-      y: footerY,
-      width: width,
-      height: footerHeight,
-      color: rgb(1, 1, 1),
-      opacity: 0.95,
-    });
-    
-    // Draw QR code on left
-    const qrX = 30;
-    firstPage.drawImage(qrImage, {
-      x: qrX,
-      y: footerY + 5,
-      width: qrSize,
-      height: qrSize,
-    });
-    
-    // Text next to QR code
-    const textX = qrX + qrSize + 15;
-    const textStartY = footerY + 50;
+    const record = registry.get(req.params.cert);
     
-    firstPage.drawText('BLOCKCHAIN VERIFIED CERTIFICATE', {
-      x: textX,
-      y: textStartY,
-      size: 10,
-      font: boldFont,
-      color: rgb(0.1, 0.3, 0.7),
-    });
+    if (!record || !canAccessRecord(req.account, record)) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
     
-    firstPage.drawText(`Certificate No: ${certificateNumber}`, {
-      x: textX,
-      y: textStartY - 16,
-      size: 9,
-      font: font,
-      color: rgb(0, 0, 0),
+    const onChain = await lookupCertificate({
+      cert: record.certificateNumber,
+      hash: record.documentHash,
+      root: record.batchRoot
     });
     
-    firstPage.drawText('Upload this document to verify authenticity', {
-      x: textX,
-      y: textStartY - 30,
-      size: 7,
-      font: font,
-      color: rgb(0.4, 0.4, 0.4),
-    });
+    if (!onChain.success) {
+      return res.status(500).json({ error: 'Blockchain lookup failed', details: onChain.error });
+    }
     
-    // Add small line at top of footer
-    firstPage.drawLine({
-      start: { x: 20, y: footerY + footerHeight },
-      end: { x: width - 20, y: footerY + footerHeight },
-      thickness: 1,
-      color: rgb(0.8, 0.8, 0.8),
+    res.json({
+      success: true,
+      certificate: record,
+      blockchain: {
+        exists: onChain.exists,
+        hashMatches: onChain.hashMatches,
+        registrationDate: onChain.timestamp ? new Date(onChain.timestamp * 1000).toLocaleString() : null,
+        revocation: onChain.revocation,
+        validity: onChain.validity
+      }
     });
-    
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
-    
-    console.log(`✓ PDF certified with embedded QR data: ${outputPath}`);
-    return true;
   } catch (error) {
-    console.error('PDF processing error:', error);
-    return false;
+    console.error('Certificate lookup error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
-}
+});
 
-// Convert image to PDF with minimal certificate
-async function convertImageToPDF(inputPath, outputPath, certificateNumber, documentHash) {
+// Revoke a certificate on blockchain. Issuer accounts can revoke the
+// certificates they requested, admins any certificate.
+app.post('/api/certificates/:cert/revoke', requireIssuer, async (req, res) => {
   try {
-    const pdfDoc = await PDFDocument.create();
+    const cert = req.params.cert;
+    const { reason } = req.body || {};
+    const record = registry.get(cert);
     
-    // Store QR data in PDF metadata
-    const qrData = JSON.stringify({ cert: certificateNumber, hash: documentHash });
-    pdfDoc.setTitle(`QR:${qrData}`);
-    pdfDoc.setSubject('Blockchain Verified Certificate');
-    pdfDoc.setKeywords([certificateNumber, 'blockchain', 'verified']);
+    if (req.account.role !== 'admin' && (!record || !canAccessRecord(req.account, record))) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
     
-    const imageBytes = fs.readFileSync(inputPath);
+    if (!reason || !blockchainService.REVOCATION_REASONS.includes(reason) || reason === 'NONE') {
+      return res.status(400).json({ 
+        error: 'Invalid revocation reason',
+        allowedReasons: blockchainService.REVOCATION_REASONS.slice(1)
+      });
+    }
     
-    let image;
-    const ext = path.extname(inputPath).toLowerCase();
+    const documentInfo = await blockchainService.getDocument(cert);
     
-    if (ext === '.png') {
-      image = await pdfDoc.embedPng(imageBytes);
-    } else if (ext === '.jpg' || ext === '.jpeg') {
-      image = await pdfDoc.embedJpg(imageBytes);
-    } else {
-      return false;
+    if (!documentInfo.success) {
+      return res.status(500).json({ error: 'Certificate lookup failed', details: documentInfo.error });
     }
     
-    const maxWidth = 500;
-    const maxHeight = 650;
-    let imageWidth = image.width;
-    let imageHeight = image.height;
+    // Batch certificates only exist on chain as a leaf of their batch root
+    const batchEntry = !documentInfo.exists && record && record.batchRoot ?
+      findBatchEntry(record.batchRoot, cert) :
+      null;
+    
+    if (!documentInfo.exists && !batchEntry) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
     
-    if (imageWidth > maxWidth || imageHeight > maxHeight) {
-      const ratio = Math.min(maxWidth / imageWidth, maxHeight / imageHeight);
-      imageWidth *= ratio;
-      imageHeight *= ratio;
+    const batchRoot = batchEntry ? record.batchRoot : null;
+    if (await getRevocationDetails(cert, batchRoot)) {
+      return res.status(409).json({ error: 'Certificate already revoked' });
     }
     
-    const footerHeight = 80;
-    const pageWidth = Math.max(imageWidth + 60, 600);
-    const pageHeight = imageHeight + footerHeight + 60;
-    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    console.log(`Revoke: ${cert} (${reason})`);
     
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const result = batchEntry ?
+      await blockchainService.revokeBatchDocument(
+        batchRoot,
+        batchEntry.proof,
+        cert,
+        batchEntry.documentHash,
+        batchEntry.certifiedHash,
+        batchEntry.validFrom,
+        batchEntry.validUntil,
+        reason
+      ) :
+      await blockchainService.revokeDocument(cert, reason);
     
-    // Draw image
-    const imageX = (pageWidth - imageWidth) / 2;
-    const imageY = footerHeight + 20;
+    if (!result.success) {
+      return res.status(500).json({ error: 'Blockchain revocation failed', details: result.error });
+    }
     
-    page.drawImage(image, {
-      x: imageX,
-      y: imageY,
-      width: imageWidth,
-      height: imageHeight,
+    const revocation = await getRevocationDetails(cert, batchRoot);
+    
+    registry.update(cert, {
+      status: 'REVOKED',
+      revocation,
+      revocationTxHash: result.txHash,
+      revokedBy: getRequester(req)
     });
     
-    // Generate QR code
-    const qrBuffer = await generateQRCode(certificateNumber, documentHash);
-    if (!qrBuffer) return false;
+    res.json({
+      success: true,
+      certificateNumber: cert,
+      txHash: result.txHash,
+      revocation,
+      message: `Certificate ${cert} revoked`
+    });
     
-    const qrImage = await pdfDoc.embedPng(qrBuffer);
+  } catch (error) {
+    console.error('Revocation error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
+
+// Issue a corrected version of a certificate. The new certificate references
+// the previous one on chain, which is marked superseded. Template, recipient
+// and title carry over unless the request sets them.
+app.post('/api/certificates/:cert/amend', requireIssuer, upload.single('document'), async (req, res) => {
+  let filePath = null;
+  
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
     
-    // Footer
-    const qrSize = 60;
-    const footerY = 15;
+    filePath = req.file.path;
     
-    page.drawRectangle({
-      x: 0,
-      y: footerY,
-      width: pageWidth,
-      height: footerHeight,
-      color: rgb(1, 1, 1),
-      opacity: 0.95,
-    });
+    const record = getAccessibleRecord(req, res);
+    if (!record) {
+      fs.unlinkSync(filePath);
+      return;
+    }
     
-    const qrX = 30;
-    page.drawImage(qrImage, {
-      x: qrX,
-      y: footerY + 10,
-      width: qrSize,
-      height: qrSize,
-    });
+    let conflict = null;
+    if (record.batchRoot) conflict = 'Batch certificates cannot be amended';
+    else if (record.status === 'SUPERSEDED') conflict = `Certificate already superseded by ${record.supersededBy}`;
+    else if (record.status !== 'ACTIVE') conflict = `Certificate is ${record.status.toLowerCase()}`;
     
-    const textX = qrX + qrSize + 15;
-    const textStartY = footerY + 55;
+    if (conflict) {
+      fs.unlinkSync(filePath);
+      return res.status(409).json({ error: conflict });
+    }
     
-    page.drawText('BLOCKCHAIN VERIFIED CERTIFICATE', {
-      x: textX,
-      y: textStartY,
-      size: 10,
-      font: boldFont,
-      color: rgb(0.1, 0.3, 0.7),
-    });
+    const { validity, error: validityError } = parseValidityFields(req.body);
     
-    page.drawText(`Certificate No: ${certificateNumber}`, {
-      x: textX,
-      y: textStartY - 16,
-      size: 9,
-      font: font,
-      color: rgb(0, 0, 0),
-    });
+    if (validityError) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: validityError });
+    }
     
-    page.drawText('Upload this document to verify authenticity', {
-      x: textX,
-      y: textStartY - 30,
-      size: 7,
-      font: font,
-      color: rgb(0.4, 0.4, 0.4),
-    });
+    const stampOptions = parseStampOptions({ ...req.body, template: req.body.template || record.template });
     
-    page.drawLine({
-      start: { x: 20, y: footerY + footerHeight },
-      end: { x: pageWidth - 20, y: footerY + footerHeight },
-      thickness: 1,
-      color: rgb(0.8, 0.8, 0.8),
-    });
+    if (stampOptions.error) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: stampOptions.error });
+    }
     
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
+    const details = {
+      recipient: req.body.recipient || record.recipient,
+      title: req.body.title || record.title,
+      supersedes: record.certificateNumber
+    };
+    
+    await issueCertificate(req, res, req.file, { validity, stampOptions, details, source: 'Amend' });
     
-    console.log(`✓ Image converted to PDF with embedded QR: ${outputPath}`);
-    return true;
   } catch (error) {
-    console.error('Image conversion error:', error);
-    return false;
+    console.error('Amendment error:', error);
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
-}
+});
 
-// Create certified text file
-function createCertifiedTextFile(inputPath, outputPath, certificateNumber, documentHash) {
+// Signed W3C Verifiable Credential (format=vc, the default) or Open Badges 3.0
+// credential (format=openbadge) for a certificate, with its on-chain
+// registration as evidence. Only the account that registered the certificate
+// can sign for it.
+app.get('/api/certificates/:cert/credential', requireIssuer, async (req, res) => {
   try {
-    const originalContent = fs.readFileSync(inputPath, 'utf8');
-    const timestamp = new Date().toLocaleString();
-    const qrData = JSON.stringify({ cert: certificateNumber, hash: documentHash });
+    const record = getAccessibleRecord(req, res);
+    if (!record) return;
     
-    const certifiedContent = `${originalContent}
-
-${'═'.repeat(80)}
-BLOCKCHAIN VERIFIED CERTIFICATE
-Certificate Number: ${certificateNumber}
-Document Hash: ${documentHash}
-Certified: ${timestamp}
-
-QR Data (for verification): ${qrData}
-
-Upload this file to verify at: http://localhost:${PORT}
-${'═'.repeat(80)}
-`;
+    const format = req.query.format || 'vc';
+    if (!credentials.FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${credentials.FORMATS.join(', ')}` });
+    }
     
-    fs.writeFileSync(outputPath, certifiedContent, 'utf8');
-    console.log(`✓ Text file certified: ${outputPath}`);
-    return true;
-  } catch (error) {
-    console.error('Text file error:', error);
-    return false;
-  }
-}
-
-// Process document
-async function processCertifiedDocument(inputPath, certificateNumber, documentHash, originalName) {
-  const ext = path.extname(originalName).toLowerCase();
-  const baseName = path.basename(originalName, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
-  
-  let outputPath;
-  let success = false;
-  
-  try {
-    if (ext === '.pdf') {
-      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.pdf`;
-      outputPath = path.join(certifiedDir, certifiedFileName);
-      success = await addMinimalCertificateToPDF(inputPath, outputPath, certificateNumber, documentHash);
-    } 
-    else if (ext === '.png' || ext === '.jpg' || ext === '.jpeg') {
-      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.pdf`;
-      outputPath = path.join(certifiedDir, certifiedFileName);
-      success = await convertImageToPDF(inputPath, outputPath, certificateNumber, documentHash);
-    } 
-    else if (ext === '.txt') {
-      const certifiedFileName = `${baseName}_CERTIFIED_${certificateNumber}.txt`;
-      outputPath = path.join(certifiedDir, certifiedFileName);
-      success = createCertifiedTextFile(inputPath, outputPath, certificateNumber, documentHash);
-    }
-    
-    if (success && outputPath && fs.existsSync(outputPath)) {
-      console.log(`✓ File created: ${outputPath}`);
-      return outputPath;
+    if (record.status === 'PENDING' || record.status === 'FAILED') {
+      return res.status(409).json({ error: 'Certificate is not registered on chain' });
     }
     
-    return null;
-  } catch (error) {
-    console.error('Processing error:', error);
-    return null;
-  }
-}
-
-// Download endpoint
-app.get('/download/:filename', (req, res) => {
-  try {
-    const filename = req.params.filename;
-    const filePath = path.join(certifiedDir, filename);
+    const signerAddress = await blockchainService.signer.getAddress();
+    if (record.issuer.address.toLowerCase() !== signerAddress.toLowerCase()) {
+      return res.status(403).json({ 
+        error: 'Certificate was registered by another issuer',
+        details: `Only ${record.issuer.address} can sign credentials for it`
+      });
+    }
+    
+    const root = record.batchRoot || null;
+    const result = await lookupCertificate({ cert: record.certificateNumber, hash: record.documentHash, ...(root ? { root } : {}) });
     
-    console.log(`Download request: ${filename}`);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Certificate lookup failed', details: result.error });
+    }
     
-    if (!fs.existsSync(filePath)) {
-      console.error(`File not found: ${filePath}`);
-      return res.status(404).send('File not found');
+    if (!result.exists || !result.hashMatches) {
+      return res.status(404).json({ error: 'Certificate not found on blockchain' });
     }
     
-    res.download(filePath, filename, (err) => {
-      if (err) {
-        console.error('Download error:', err);
-      } else {
-        console.log(`✓ Downloaded: ${filename}`);
-      }
+    const registration = getRegistrationTx(record.certificateNumber, root);
+    const credential = credentials.buildCredential(format, {
+      id: `${PUBLIC_BASE_URL}/api/certificates/${encodeURIComponent(record.certificateNumber)}/credential`,
+      verificationUrl: buildVerificationUrl(record.certificateNumber, record.documentHash, root ? { batch: { root } } : {}),
+      certificateNumber: record.certificateNumber,
+      documentHash: record.documentHash,
+      certifiedHash: record.certifiedHash,
+      private: record.private,
+      recipient: record.recipient,
+      title: record.title,
+      issuer: result.issuer,
+      chainId: blockchainService.chainId,
+      contractAddress: await blockchainService.contract.getAddress(),
+      txHash: registration ? registration.txHash : null,
+      blockNumber: registration ? registration.blockNumber : null,
+      merkleRoot: root,
+      issuedAt: result.timestamp,
+      validFrom: result.validity ? result.validity.validFrom : 0,
+      validUntil: result.validity ? result.validity.validUntil : 0
     });
+    
+    const signed = await credentials.signCredential(credential, blockchainService.signer, blockchainService.chainId);
+    
+    console.log(`✓ ${format === 'openbadge' ? 'Open Badge' : 'Verifiable Credential'} exported: ${record.certificateNumber}`);
+    res.type('application/json').send(JSON.stringify(signed, null, 2));
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).send('Server error');
+    console.error('Credential export error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
   }
 });
 
-// Upload endpoint
-app.post('/api/upload', upload.single('document'), async (req, res) => {
-  let filePath = null;
-  
+// Verification bundle for a certificate: the certified document, its receipt,
+// the registration transaction receipt and a block header proof, checkable
+// fully offline with `npm run verify -- --bundle <zip>`
+app.get('/api/certificates/:cert/bundle', requireIssuer, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    const record = getAccessibleRecord(req, res);
+    if (!record) return;
 
-    filePath = req.file.path;
-    const certificateNumber = generateCertificateNumber();
-    
-    // Calculate hash of ORIGINAL document
-    const originalDocumentHash = generateDocumentHash(filePath);
-    
-    console.log(`Upload: ${req.file.originalname} -> ${certificateNumber}`);
-    console.log(`Original hash: ${originalDocumentHash.substring(0, 20)}...`);
+    if (record.status === 'PENDING' || record.status === 'FAILED') {
+      return res.status(409).json({ error: 'Certificate is not registered on chain' });
+    }
 
-    // Register on blockchain with ORIGINAL hash
-    const blockchainResult = await blockchainService.registerDocument(certificateNumber, originalDocumentHash);
+    const filePath = getCertifiedFilePath(record);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Certified document not found' });
+    }
 
-    if (!blockchainResult.success) {
-      if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
-      return res.status(500).json({ 
-        error: 'Blockchain registration failed', 
-        details: blockchainResult.error 
-      });
+    const root = record.batchRoot || null;
+    const registration = getRegistrationTx(record.certificateNumber, root);
+    if (!registration) {
+      return res.status(409).json({ error: 'Registration transaction is unknown' });
     }
 
-    // Process document (adds QR code with embedded metadata)
-    const certifiedPath = await processCertifiedDocument(
-      filePath, 
-      certificateNumber, 
-      originalDocumentHash,
-      req.file.originalname
-    );
+    const result = await lookupCertificate({ cert: record.certificateNumber, hash: record.documentHash, ...(root ? { root } : {}) });
 
-    if (!certifiedPath) {
-      return res.status(500).json({ error: 'Document processing failed' });
+    if (!result.success) {
+      return res.status(500).json({ error: 'Certificate lookup failed', details: result.error });
     }
 
-    const certifiedFileName = path.basename(certifiedPath);
-    const downloadUrl = `http://localhost:${PORT}/download/${certifiedFileName}`;
+    if (!result.exists || !result.hashMatches) {
+      return res.status(404).json({ error: 'Certificate not found on blockchain' });
+    }
 
-    res.json({
-      success: true,
-      certificateNumber,
-      documentHash: originalDocumentHash,
-      fileName: req.file.originalname,
-      certifiedFileName,
-      fileSize: req.file.size,
-      txHash: blockchainResult.txHash,
-      downloadUrl,
-      qrData: JSON.stringify({ cert: certificateNumber, hash: originalDocumentHash }),
-      message: 'Document certified! QR data embedded in PDF. Simply upload the certified PDF to verify.'
-    });
+    let batch = null;
+    if (root) {
+      const entry = findBatchEntry(root, record.certificateNumber);
+      if (!entry) {
+        return res.status(404).json({ error: 'Batch manifest not found' });
+      }
+      batch = { root, proof: entry.proof };
+    }
+
+    const bundle = await bundles.createBundle(blockchainService.provider, {
+      certificateNumber: record.certificateNumber,
+      documentHash: record.documentHash,
+      certifiedHash: result.certifiedHash,
+      issuer: result.issuer,
+      validFrom: result.validity ? result.validity.validFrom : 0,
+      validUntil: result.validity ? result.validity.validUntil : 0,
+      verificationUrl: buildVerificationUrl(record.certificateNumber, record.documentHash, batch ? { batch } : {}),
+      chainId: blockchainService.chainId,
+      contractAddress: await blockchainService.contract.getAddress(),
+      transactionHash: registration.txHash,
+      batch
+    }, { name: path.basename(filePath), buffer: fs.readFileSync(filePath) });
 
+    console.log(`✓ Verification bundle exported: ${record.certificateNumber}`);
+    res.attachment(`${record.certificateNumber}_bundle.zip`);
+    res.type('application/zip').send(bundle);
   } catch (error) {
-    console.error('Upload error:', error);
-    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    console.error('Bundle export error:', error);
     res.status(500).json({ error: 'Server error', details: error.message });
   }
 });
 
-// Verify by scanning QR code data manually
-app.post('/api/verify-qr', async (req, res) => {
-  try {
-    const { qrData } = req.body;
-    
-    if (!qrData) {
-      return res.status(400).json({ error: 'QR data is required' });
-    }
-    
-    let parsedData;
-    try {
-      parsedData = JSON.parse(qrData);
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid QR data format' });
-    }
-    
-    const { cert, hash } = parsedData;
-    
-    if (!cert || !hash) {
-      return res.status(400).json({ error: 'Invalid QR data: missing cert or hash' });
-    }
+// Chain indexer progress
+app.get('/api/index/status', requireAdmin, (req, res) => {
+  res.json({ success: true, ...indexer.getStatus() });
+});
 
-    // Verify against blockchain
-    const result = await blockchainService.verifyDocument(cert, hash);
+// Every certificate anchored on the contract, rebuilt from DocumentRegistered/DocumentRevoked logs
+app.get('/api/index/certificates', requireAdmin, (req, res) => {
+  try {
+    const { certificates } = indexer.getState();
+    const issuer = (req.query.issuer || '').toLowerCase();
+    const list = Array.from(certificates.values())
+      .filter(certificate => !issuer || certificate.issuer.toLowerCase() === issuer);
     
-    if (!result.success) {
-      return res.status(500).json({ error: 'Verification failed', details: result.error });
-    }
-
-    const documentInfo = await blockchainService.getDocument(cert);
-
-    res.json({
-      success: true,
-      isValid: result.isValid,
-      certificateNumber: cert,
-      timestamp: result.timestamp,
-      registeredHash: documentInfo.documentHash,
-      scannedHash: hash,
-      registrationDate: new Date(result.timestamp * 1000).toLocaleString(),
-      message: result.isValid ? 
-        '✓ VALID - Certificate verified on blockchain' : 
-        '✗ INVALID - Certificate not found or has been tampered with'
-    });
-
+    res.json({ success: true, total: list.length, certificates: list });
   } catch (error) {
-    console.error('QR verification error:', error);
+    console.error('Index list error:', error);
     res.status(500).json({ error: 'Server error', details: error.message });
   }
 });
 
-// Verify by uploading CERTIFIED document (extracts QR automatically)
-app.post('/api/verify-upload', upload.single('document'), async (req, res) => {
-  let filePath = null;
-  
+// Compare indexed on-chain certificates against the local registry
+app.get('/api/index/reconcile', requireAdmin, (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    filePath = req.file.path;
-    const ext = path.extname(req.file.originalname).toLowerCase();
+    res.json({ success: true, ...indexer.reconcile(registry.all()) });
+  } catch (error) {
+    console.error('Reconcile error:', error);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+});
 
-    console.log(`Verify upload: ${req.file.originalname}`);
+// Download a certified document (the issuing account or an admin)
+app.get('/api/certificates/:cert/download', requireIssuer, (req, res) => {
+  const record = getAccessibleRecord(req, res);
+  if (!record) return;
 
-    let qrData = null;
+  sendCertifiedFile(req, res, record, { via: 'account', account: getRequester(req) });
+});
 
-    // Extract QR data based on file type
-    if (ext === '.pdf') {
-      qrData = await extractQRDataFromPDF(filePath);
-    } else if (ext === '.txt') {
-      // For text files, extract QR data from the footer
-      const content = fs.readFileSync(filePath, 'utf8');
-      const match = content.match(/QR Data \(for verification\): ({.*?})/);
-      if (match) {
-        qrData = match[1];
-      }
-    }
+// Create a signed, expiring link to one certified document for a recipient or
+// third party. Body: { expiresIn } in seconds (default SHARE_LINK_TTL).
+app.post('/api/certificates/:cert/share-links', requireIssuer, (req, res) => {
+  const record = getAccessibleRecord(req, res);
+  if (!record) return;
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+  const { expiresIn = config.shareLinks.defaultTtl } = req.body || {};
+  const seconds = parseInt(expiresIn, 10);
 
-    if (!qrData) {
-      return res.status(400).json({ 
-        error: 'No certificate found in document',
-        message: 'This document does not appear to be a certified document. Please upload a certified document with QR code.'
-      });
-    }
+  if (!Number.isInteger(seconds) || seconds <= 0 || seconds > config.shareLinks.maxTtl) {
+    return res.status(400).json({
+      error: 'Invalid expiresIn',
+      details: `Must be between 1 and ${config.shareLinks.maxTtl} seconds`
+    });
+  }
 
-    console.log(`Extracted QR data: ${qrData.substring(0, 50)}...`);
+  if (!getCertifiedFilePath(record)) {
+    return res.status(404).json({ error: 'Certified file not available' });
+  }
 
-    // Parse QR data
-    let parsedData;
-    try {
-      parsedData = JSON.parse(qrData);
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid certificate data in document' });
-    }
+  const expiresAt = Math.floor(Date.now() / 1000) + seconds;
+  const { link, token } = downloads.createLink(record.certificateNumber, expiresAt, getRequester(req));
 
-    const { cert, hash } = parsedData;
+  console.log(`✓ Share link created: ${record.certificateNumber} until ${new Date(expiresAt * 1000).toISOString()}`);
 
-    if (!cert || !hash) {
-      return res.status(400).json({ error: 'Invalid certificate: missing data' });
-    }
+  res.status(201).json({
+    success: true,
+    link,
+    url: `${PUBLIC_BASE_URL}/share/${token}`
+  });
+});
 
-    // Verify with blockchain
-    const result = await blockchainService.verifyDocument(cert, hash);
-    
-    if (!result.success) {
-      return res.status(500).json({ error: 'Verification failed', details: result.error });
-    }
+app.get('/api/certificates/:cert/share-links', requireIssuer, (req, res) => {
+  const record = getAccessibleRecord(req, res);
+  if (!record) return;
 
-    const documentInfo = await blockchainService.getDocument(cert);
+  res.json({ certificateNumber: record.certificateNumber, links: downloads.listLinks(record.certificateNumber) });
+});
 
-    // Check if document has been tampered with
-    const isValid = result.isValid && (hash === documentInfo.documentHash);
+app.delete('/api/certificates/:cert/share-links/:id', requireIssuer, (req, res) => {
+  const record = getAccessibleRecord(req, res);
+  if (!record) return;
 
-    res.json({
-      success: true,
-      isValid: isValid,
-      certificateNumber: cert,
-      timestamp: result.timestamp,
-      registeredHash: documentInfo.documentHash,
-      extractedHash: hash,
-      registrationDate: new Date(result.timestamp * 1000).toLocaleString(),
-      message: isValid ? 
-        '✓ VALID - Certificate is authentic and verified on blockchain' : 
-        '✗ INVALID - Certificate has been tampered with or is not authentic'
-    });
+  const link = downloads.revokeLink(record.certificateNumber, req.params.id, getRequester(req));
 
-  } catch (error) {
-    console.error('Verify upload error:', error);
-    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    res.status(500).json({ error: 'Server error', details: error.message });
+  if (!link) {
+    return res.status(404).json({ error: 'Share link not found' });
   }
+
+  console.log(`✓ Share link revoked: ${record.certificateNumber} (${link.id})`);
+  res.json({ success: true, link });
+});
+
+app.get('/api/certificates/:cert/downloads', requireIssuer, (req, res) => {
+  const record = getAccessibleRecord(req, res);
+  if (!record) return;
+
+  res.json({ certificateNumber: record.certificateNumber, downloads: downloads.getDownloads(record.certificateNumber) });
+});
+
+// Transaction pipeline: counts by status plus everything not yet settled
+app.get('/api/transactions', requireAdmin, (req, res) => {
+  const transactions = blockchainService.transactions;
+  const pending = Array.from(transactions.records.values())
+    .filter(record => record.status === 'QUEUED' || record.status === 'SUBMITTED');
+
+  res.json({ ...transactions.getStatus(), pending });
 });
 
 app.get('/api/health', (req, res) => {
@@ -645,25 +2471,97 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Pending uploads are settled here, including ones resumed after a restart
+blockchainService.transactions.on('confirmed', transaction => {
+  const record = transaction.meta && registry.get(transaction.meta.certificateNumber);
+  if (!record || record.status !== 'PENDING') return;
+
+  registry.update(record.certificateNumber, {
+    status: 'ACTIVE',
+    txHash: transaction.txHash,
+    blockNumber: transaction.blockNumber
+  });
+  console.log(`✓ Pending certificate confirmed: ${record.certificateNumber}`);
+
+  if (record.supersedes) markSuperseded(record.supersedes, record.certificateNumber);
+});
+
+blockchainService.transactions.on('failed', transaction => {
+  const record = transaction.meta && registry.get(transaction.meta.certificateNumber);
+  if (!record || record.status !== 'PENDING') return;
+
+  registry.update(record.certificateNumber, { status: 'FAILED', error: transaction.error });
+  console.error(`❌ Pending certificate failed: ${record.certificateNumber}`);
+});
+
 async function startServer() {
   console.log('Starting service...');
+
+  const configErrors = config.validateConfig();
+  if (configErrors.length > 0) {
+    console.error('\n❌ Invalid configuration:');
+    configErrors.forEach(error => console.error(`  - ${error}`));
+    console.error('See backend/.env.example for the available settings.\n');
+    process.exit(1);
+  }
+  
+  if (!registry.initialize()) {
+    console.error('\n❌ Certificate registry could not be loaded!\n');
+    process.exit(1);
+  }
+
+  if (!accounts.initialize({ adminApiKey: config.adminApiKey, sessionTtl: config.sessionTtl })) {
+    console.error('\n❌ Account store could not be loaded!\n');
+    process.exit(1);
+  }
+
+  if (!downloads.initialize({ secret: config.shareLinks.secret })) {
+    console.error('\n❌ Share links could not be loaded!\n');
+    process.exit(1);
+  }
+
+  if (!templates.initialize({ dir: config.templatesDir })) {
+    console.error('\n❌ Certificate templates are invalid!\n');
+    process.exit(1);
+  }
+
+  if (!pdfSigner.initialize(config.pdfSigning)) {
+    console.error('\n❌ PDF signing certificate could not be loaded (check PDF_SIGNING_P12 and PDF_SIGNING_PASSPHRASE)!\n');
+    process.exit(1);
+  }
   
   const initialized = await blockchainService.initialize();
   
   if (!initialized) {
     console.error('\n❌ Blockchain initialization failed!');
     console.error('Please check:');
-    console.error('  1. Is Hardhat node running? (npx hardhat node)');
-    console.error('  2. Is contract deployed? (npm run deploy)\n');
+    console.error(`  1. Is the node at ${config.rpcUrl} running? (npx hardhat node)`);
+    console.error(`  2. Is the contract deployed on "${config.network}"? (npm run deploy)\n`);
     process.exit(1);
   }
 
+  // The deployment manifest records the contract's block, which saves the indexer a search
+  const indexerReady = await indexer.initialize(blockchainService, {
+    ...config.indexer,
+    startBlock: config.indexer.startBlock !== undefined ? config.indexer.startBlock : blockchainService.deploymentBlock
+  });
+  
+  if (indexerReady) {
+    indexer.start();
+  } else {
+    console.warn('⚠ Chain indexer disabled - event history will not be available');
+  }
+
+  if (!accounts.hasAdmin()) {
+    console.warn('⚠ No admin account and ADMIN_API_KEY not set - admin routes (accounts, issuers, revocation) are unusable');
+  }
+
   app.listen(PORT, () => {
     console.log('\n' + '═'.repeat(60));
     console.log('   📄 BLOCKCHAIN DOCUMENT VERIFICATION');
     console.log('═'.repeat(60));
-    console.log(`✓ Server: http://localhost:${PORT}`);
-    console.log('✓ Blockchain: Connected');
+    console.log(`✓ Server: ${PUBLIC_BASE_URL} (port ${PORT})`);
+    console.log(`✓ Blockchain: Connected (${config.network}, chain ${blockchainService.chainId})`);
     console.log('✓ Auto QR Extraction: Enabled');
     console.log('✓ Upload certified PDF to verify automatically');
     console.log('═'.repeat(60) + '\n');
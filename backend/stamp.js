@@ -0,0 +1,348 @@
+const fs = require('fs');
+const { rgb, degrees, PageSizes } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+
+// Gap between the stamp and the page edge (and the content, when the page is expanded)
+const MARGIN = 15;
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+// Fill {placeholders} from values. Returns null when the line has
+// placeholders and none of them has a value, so empty lines are skipped.
+function fillLine(text, values) {
+  if (!text) return null;
+
+  let placeholders = 0;
+  let filled = 0;
+  const line = text.replace(/\{(\w+)\}/g, (match, key) => {
+    placeholders++;
+    const value = values[key];
+    if (value === undefined || value === null || value === '') return '';
+    filled++;
+    return String(value);
+  });
+
+  return placeholders > 0 && filled === 0 ? null : line;
+}
+
+// Stamp wording for a template: heading, certificate number, detail lines
+// (title, recipient, issuer, validity, the amended certificate and the
+// template's extra fields) and instructions
+function getStampText(template, values) {
+  const { wording } = template;
+  const details = [
+    wording.title, wording.recipient, wording.issuer, wording.validity, wording.supersedes,
+    ...template.fields
+  ]
+    .map(line => fillLine(line, values))
+    .filter(Boolean);
+
+  return {
+    heading: fillLine(wording.heading, values),
+    certificateNumber: fillLine(wording.certificateNumber, values),
+    details,
+    instructions: fillLine(wording.instructions, values)
+  };
+}
+
+async function embedFont(pdfDoc, font) {
+  if (/\.(ttf|otf)$/i.test(font)) {
+    pdfDoc.registerFontkit(fontkit);
+    return pdfDoc.embedFont(fs.readFileSync(font), { subset: true });
+  }
+  return pdfDoc.embedFont(font);
+}
+
+async function embedImage(pdfDoc, imagePath) {
+  const bytes = fs.readFileSync(imagePath);
+  return /\.png$/i.test(imagePath) ? pdfDoc.embedPng(bytes) : pdfDoc.embedJpg(bytes);
+}
+
+// The standard PDF fonts only cover Latin text; fail with a useful message
+// instead of pdf-lib's encoding error
+function checkEncodable(font, fontName, lines) {
+  for (const line of lines) {
+    try {
+      font.encodeText(line);
+    } catch (error) {
+      throw new Error(`Font "${fontName}" cannot draw "${line}" - use a .ttf font in the template for these characters`);
+    }
+  }
+}
+
+// Pages to stamp: 'first', 'last', 'all' or 1-based page numbers
+function selectPages(pages, selection) {
+  if (selection === 'all') return pages;
+  if (selection === 'last') return [pages[pages.length - 1]];
+  if (Array.isArray(selection)) {
+    const selected = selection.filter(number => number <= pages.length).map(number => pages[number - 1]);
+    if (selected.length > 0) return selected;
+  }
+  return [pages[0]];
+}
+
+function measureBlock(template, text, assets, band) {
+  const { fonts, logo } = assets;
+  const padding = band ? 30 : 10;
+  const logoWidth = logo ? logo.width * template.logoSize / logo.height : 0;
+  const textWidth = Math.max(
+    text.heading ? fonts.bold.widthOfTextAtSize(text.heading, 10) : 0,
+    text.certificateNumber ? fonts.regular.widthOfTextAtSize(text.certificateNumber, 9) : 0,
+    ...text.details.map(line => fonts.regular.widthOfTextAtSize(line, 8)),
+    text.instructions ? fonts.regular.widthOfTextAtSize(text.instructions, 7) : 0
+  );
+
+  return {
+    padding,
+    logoWidth,
+    width: padding * 2 + (logo ? logoWidth + 10 : 0) + template.qrSize + 15 + textWidth,
+    // Grow with the detail lines once they no longer fit next to the QR code
+    height: Math.max(template.qrSize + 10, logo ? template.logoSize + 10 : 0, 56 + text.details.length * 10)
+  };
+}
+
+// Draw the stamp into box { x, y, width, height }. Bands (header/footer) span
+// the page with a rule towards the content; corner stamps get a border.
+function drawBlock(page, template, text, assets, box, layout) {
+  const { fonts, qrImage, logo } = assets;
+  const { colors, qrSize } = template;
+
+  page.drawRectangle({
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    color: hexToRgb(colors.background),
+    opacity: template.backgroundOpacity,
+    ...(layout.band ? {} : { borderColor: hexToRgb(colors.border), borderWidth: 1 })
+  });
+
+  if (layout.band) {
+    const ruleY = template.position === 'header' ? box.y : box.y + box.height;
+    page.drawLine({
+      start: { x: box.x + 20, y: ruleY },
+      end: { x: box.x + box.width - 20, y: ruleY },
+      thickness: 1,
+      color: hexToRgb(colors.border),
+    });
+  }
+
+  let x = box.x + layout.padding;
+
+  if (logo) {
+    page.drawImage(logo, {
+      x,
+      y: box.y + (box.height - template.logoSize) / 2,
+      width: layout.logoWidth,
+      height: template.logoSize,
+    });
+    x += layout.logoWidth + 10;
+  }
+
+  page.drawImage(qrImage, {
+    x,
+    y: box.y + (box.height - qrSize) / 2,
+    width: qrSize,
+    height: qrSize,
+  });
+
+  // Text next to the QR code
+  const textX = x + qrSize + 15;
+  const textStartY = box.y + box.height - 20;
+
+  if (text.heading) {
+    page.drawText(text.heading, {
+      x: textX,
+      y: textStartY,
+      size: 10,
+      font: fonts.bold,
+      color: hexToRgb(colors.heading),
+    });
+  }
+
+  if (text.certificateNumber) {
+    page.drawText(text.certificateNumber, {
+      x: textX,
+      y: textStartY - 16,
+      size: 9,
+      font: fonts.regular,
+      color: hexToRgb(colors.text),
+    });
+  }
+
+  let lineY = textStartY - 28;
+  for (const line of text.details) {
+    page.drawText(line, {
+      x: textX,
+      y: lineY,
+      size: 8,
+      font: fonts.regular,
+      color: hexToRgb(colors.details),
+    });
+    lineY -= 10;
+  }
+
+  if (text.instructions) {
+    page.drawText(text.instructions, {
+      x: textX,
+      y: lineY,
+      size: 7,
+      font: fonts.regular,
+      color: hexToRgb(colors.note),
+    });
+  }
+}
+
+// Stamp one page at the template's position, growing the page first when
+// the template asks for the stamp to stay clear of the content
+function stampPage(page, template, text, assets) {
+  const { position } = template;
+  const band = position === 'footer' || position === 'header';
+  const top = position === 'header' || position.startsWith('top-');
+  const layout = measureBlock(template, text, assets, band);
+  let mediaBox = page.getMediaBox();
+
+  if (template.expandPage) {
+    const extra = layout.height + MARGIN * 2;
+    mediaBox = {
+      ...mediaBox,
+      y: top ? mediaBox.y : mediaBox.y - extra,
+      height: mediaBox.height + extra
+    };
+    page.setMediaBox(mediaBox.x, mediaBox.y, mediaBox.width, mediaBox.height);
+    page.setCropBox(mediaBox.x, mediaBox.y, mediaBox.width, mediaBox.height);
+  }
+
+  const width = band ? mediaBox.width : Math.min(layout.width, mediaBox.width - MARGIN * 2);
+  let x = mediaBox.x;
+  if (position.endsWith('-left')) x = mediaBox.x + MARGIN;
+  if (position.endsWith('-right')) x = mediaBox.x + mediaBox.width - MARGIN - width;
+
+  const y = top ?
+    mediaBox.y + mediaBox.height - MARGIN - layout.height :
+    mediaBox.y + MARGIN;
+
+  drawBlock(page, template, text, assets, { x, y, width, height: layout.height }, { ...layout, band });
+}
+
+function drawCentered(page, line, y, size, font, color) {
+  const { width } = page.getSize();
+  page.drawText(line, { x: (width - font.widthOfTextAtSize(line, size)) / 2, y, size, font, color });
+}
+
+// A separate certificate page before (cover-page) or after (back-page) the document
+function addCertificatePage(pdfDoc, template, text, assets) {
+  const { fonts, qrImage, logo } = assets;
+  const { colors } = template;
+  const pages = pdfDoc.getPages();
+  const size = pages.length > 0 ? [pages[0].getWidth(), pages[0].getHeight()] : PageSizes.A4;
+  const page = template.position === 'cover-page' ? pdfDoc.insertPage(0, size) : pdfDoc.addPage(size);
+  const [width, height] = size;
+
+  page.drawRectangle({
+    x: 30,
+    y: 30,
+    width: width - 60,
+    height: height - 60,
+    color: hexToRgb(colors.background),
+    borderColor: hexToRgb(colors.border),
+    borderWidth: 2,
+  });
+
+  let y = height - 90;
+
+  if (logo) {
+    const logoHeight = template.logoSize * 2;
+    const logoWidth = logo.width * logoHeight / logo.height;
+    page.drawImage(logo, { x: (width - logoWidth) / 2, y: y - logoHeight, width: logoWidth, height: logoHeight });
+    y -= logoHeight + 40;
+  }
+
+  if (text.heading) {
+    drawCentered(page, text.heading, y, 20, fonts.bold, hexToRgb(colors.heading));
+    y -= 36;
+  }
+
+  if (text.certificateNumber) {
+    drawCentered(page, text.certificateNumber, y, 14, fonts.regular, hexToRgb(colors.text));
+    y -= 30;
+  }
+
+  for (const line of text.details) {
+    drawCentered(page, line, y, 12, fonts.regular, hexToRgb(colors.details));
+    y -= 18;
+  }
+
+  const qrSize = Math.max(template.qrSize * 2, 150);
+  y -= qrSize + 20;
+  page.drawImage(qrImage, { x: (width - qrSize) / 2, y, width: qrSize, height: qrSize });
+
+  if (text.instructions) {
+    drawCentered(page, text.instructions, y - 24, 10, fonts.regular, hexToRgb(colors.note));
+  }
+
+  return page;
+}
+
+function drawPreviewWatermark(page, font) {
+  const { width, height } = page.getSize();
+  const label = 'PREVIEW - NOT REGISTERED';
+  const size = Math.min(48, width / 20);
+
+  page.drawText(label, {
+    x: width * 0.15,
+    y: height * 0.35,
+    size,
+    font,
+    color: rgb(0.85, 0.1, 0.1),
+    opacity: 0.35,
+    rotate: degrees(35),
+  });
+}
+
+// Stamp a loaded PDF with the certificate QR code and details, laid out by
+// the template. values fill the wording placeholders; preview adds a watermark.
+async function stampDocument(pdfDoc, template, { qrBuffer, values, preview = false }) {
+  const text = getStampText(template, values);
+  const fonts = {
+    regular: await embedFont(pdfDoc, template.fonts.regular),
+    bold: await embedFont(pdfDoc, template.fonts.bold)
+  };
+
+  checkEncodable(fonts.bold, template.fonts.bold, [text.heading].filter(Boolean));
+  checkEncodable(fonts.regular, template.fonts.regular,
+    [text.certificateNumber, ...text.details, text.instructions].filter(Boolean));
+
+  const assets = {
+    fonts,
+    qrImage: await pdfDoc.embedPng(qrBuffer),
+    logo: template.logo ? await embedImage(pdfDoc, template.logo) : null
+  };
+
+  let stamped;
+  if (template.position === 'cover-page' || template.position === 'back-page') {
+    stamped = [addCertificatePage(pdfDoc, template, text, assets)];
+  } else {
+    stamped = selectPages(pdfDoc.getPages(), template.pages);
+    stamped.forEach(page => stampPage(page, template, text, assets));
+  }
+
+  if (preview) {
+    const watermarkFont = await embedFont(pdfDoc, 'Helvetica-Bold');
+    stamped.forEach(page => drawPreviewWatermark(page, watermarkFont));
+  }
+}
+
+module.exports = {
+  hexToRgb,
+  fillLine,
+  getStampText,
+  embedFont,
+  embedImage,
+  checkEncodable,
+  drawCentered,
+  stampDocument
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { StandardFonts } = require('pdf-lib');
+
+const POSITIONS = [
+  'footer', 'header',
+  'bottom-left', 'bottom-right', 'top-left', 'top-right',
+  'cover-page', 'back-page'
+];
+const PAGE_SELECTIONS = ['first', 'last', 'all'];
+const PAGE_SIZES = ['A4', 'A4-landscape', 'Letter', 'Letter-landscape'];
+const STANDARD_FONTS = Object.values(StandardFonts);
+
+// The original certificate footer. Template files only need to set what differs.
+const DEFAULT_TEMPLATE = {
+  name: 'default',
+  description: 'QR code and certificate details in a footer on the first page',
+  position: 'footer',
+  pages: 'first',
+  // Grow the page so the stamp sits outside the existing content instead of over it
+  expandPage: false,
+  qrSize: 60,
+  logo: null,
+  logoSize: 40,
+  fonts: {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold'
+  },
+  colors: {
+    heading: '#1a4db3',
+    text: '#000000',
+    details: '#333333',
+    note: '#666666',
+    background: '#ffffff',
+    border: '#cccccc'
+  },
+  backgroundOpacity: 0.95,
+  // {placeholders} are filled from the certificate; a line whose
+  // placeholders are all empty is left out
+  wording: {
+    heading: 'BLOCKCHAIN VERIFIED CERTIFICATE',
+    certificateNumber: 'Certificate No: {certificateNumber}',
+    title: '{title}',
+    recipient: 'Awarded to: {recipient}',
+    issuer: 'Issued by: {issuerName}',
+    validity: 'Valid: {validity}',
+    supersedes: 'Supersedes: {supersedes}',
+    instructions: 'Upload this document to verify authenticity'
+  },
+  // Extra lines, e.g. "Grade: {grade}", filled from the fields sent with the upload
+  fields: [],
+  // Layout of certificates generated from data (POST /api/certificates/generate)
+  certificate: {
+    pageSize: 'A4-landscape',
+    heading: 'CERTIFICATE',
+    subheading: 'This is to certify that',
+    body: 'has successfully completed {title}',
+    lines: [],
+    date: 'Date: {issueDate}',
+    signature: '{issuerName}'
+  }
+};
+
+function isFontFile(font) {
+  return /\.(ttf|otf)$/i.test(font);
+}
+
+// Merge a template file over the default and resolve its asset paths
+function buildTemplate(name, definition, baseDir) {
+  const template = {
+    ...DEFAULT_TEMPLATE,
+    ...definition,
+    name,
+    fonts: { ...DEFAULT_TEMPLATE.fonts, ...(definition.fonts || {}) },
+    colors: { ...DEFAULT_TEMPLATE.colors, ...(definition.colors || {}) },
+    wording: { ...DEFAULT_TEMPLATE.wording, ...(definition.wording || {}) },
+    fields: definition.fields || [],
+    certificate: { ...DEFAULT_TEMPLATE.certificate, ...(definition.certificate || {}) }
+  };
+
+  if (template.logo) {
+    template.logo = path.resolve(baseDir, template.logo);
+  }
+  for (const [style, font] of Object.entries(template.fonts)) {
+    if (isFontFile(font)) template.fonts[style] = path.resolve(baseDir, font);
+  }
+
+  return template;
+}
+
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!POSITIONS.includes(template.position)) {
+    errors.push(`position must be one of: ${POSITIONS.join(', ')}`);
+  }
+
+  const { pages } = template;
+  const validPages = PAGE_SELECTIONS.includes(pages) ||
+    (Array.isArray(pages) && pages.length > 0 && pages.every(page => Number.isInteger(page) && page > 0));
+  if (!validPages) {
+    errors.push(`pages must be one of ${PAGE_SELECTIONS.join(', ')} or a list of page numbers`);
+  }
+
+  if (typeof template.qrSize !== 'number' || template.qrSize < 30 || template.qrSize > 300) {
+    errors.push('qrSize must be between 30 and 300 points');
+  }
+
+  if (template.logo) {
+    if (!/\.(png|jpe?g)$/i.test(template.logo)) {
+      errors.push('logo must be a PNG or JPG image');
+    } else if (!fs.existsSync(template.logo)) {
+      errors.push(`logo not found: ${template.logo}`);
+    }
+  }
+
+  for (const [style, font] of Object.entries(template.fonts)) {
+    if (isFontFile(font)) {
+      if (!fs.existsSync(font)) errors.push(`${style} font not found: ${font}`);
+    } else if (!STANDARD_FONTS.includes(font)) {
+      errors.push(`${style} font must be a .ttf/.otf file or one of: ${STANDARD_FONTS.join(', ')}`);
+    }
+  }
+
+  for (const [key, color] of Object.entries(template.colors)) {
+    if (!/^#[0-9a-f]{6}$/i.test(color)) errors.push(`colors.${key} must be a #rrggbb colour`);
+  }
+
+  if (!Array.isArray(template.fields) || template.fields.some(field => typeof field !== 'string')) {
+    errors.push('fields must be a list of text lines');
+  }
+
+  const { certificate } = template;
+  if (!PAGE_SIZES.includes(certificate.pageSize)) {
+    errors.push(`certificate.pageSize must be one of: ${PAGE_SIZES.join(', ')}`);
+  }
+  if (!Array.isArray(certificate.lines) || certificate.lines.some(line => typeof line !== 'string')) {
+    errors.push('certificate.lines must be a list of text lines');
+  }
+
+  return errors;
+}
+
+// Named certificate templates controlling how the QR stamp is laid out. Each
+// template is a JSON file in the templates directory (the file name is the
+// template name); logo and font paths are relative to that directory. A
+// default.json replaces the built-in default.
+class TemplateStore {
+  constructor() {
+    this.dir = null;
+    this.templates = new Map();
+  }
+
+  initialize(options = {}) {
+    this.dir = options.dir || path.join(__dirname, 'templates');
+    this.templates = new Map([['default', buildTemplate('default', {}, this.dir)]]);
+
+    let files = [];
+    if (fs.existsSync(this.dir)) {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort();
+    }
+
+    let valid = true;
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+
+      try {
+        const definition = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const template = buildTemplate(name, definition, this.dir);
+        const errors = validateTemplate(template);
+
+        if (errors.length > 0) {
+          errors.forEach(error => console.error(`❌ Template "${name}": ${error}`));
+          valid = false;
+          continue;
+        }
+
+        this.templates.set(name, template);
+      } catch (error) {
+        console.error(`❌ Template "${name}" could not be read:`, error.message);
+        valid = false;
+      }
+    }
+
+    console.log(`Certificate templates loaded (${Array.from(this.templates.keys()).join(', ')})`);
+    return valid;
+  }
+
+  // Template by name; the default when no name is given, null when unknown
+  get(name) {
+    return this.templates.get(name || 'default') || null;
+  }
+
+  list() {
+    return Array.from(this.templates.values()).map(template => ({
+      name: template.name,
+      description: template.description || '',
+      position: template.position,
+      pages: template.pages,
+      expandPage: template.expandPage,
+      fields: template.fields
+    }));
+  }
+}
+
+module.exports = new TemplateStore();
+module.exports.POSITIONS = POSITIONS;
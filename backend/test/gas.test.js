@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const crypto = require('crypto');
+
+// The bytes32-keyed contract with packed structs must stay cheaper than the
+// string-keyed one it replaced (contracts/legacy/DocumentVerificationV1.sol)
+describe('DocumentVerification gas', function () {
+  const CERTIFICATE = 'CERT-70873551-2814';
+  const DOCUMENT_HASH = crypto.randomBytes(32).toString('hex');
+  const CERTIFIED_HASH = crypto.randomBytes(32).toString('hex');
+
+  async function deploy(name) {
+    const factory = await ethers.getContractFactory(name);
+    return factory.deploy('Gas Test Issuer');
+  }
+
+  async function gasUsed(sent) {
+    return (await (await sent).wait()).gasUsed;
+  }
+
+  let legacy;
+  let current;
+
+  beforeEach(async function () {
+    legacy = await deploy('DocumentVerificationV1');
+    current = await deploy('DocumentVerification');
+  });
+
+  it('registers a document for less gas', async function () {
+    const before = await gasUsed(legacy.registerDocument(CERTIFICATE, DOCUMENT_HASH, CERTIFIED_HASH, 0, 0));
+    const after = await gasUsed(current.registerDocument(CERTIFICATE, `0x${DOCUMENT_HASH}`, `0x${CERTIFIED_HASH}`, 0, 0));
+
+    expect(after).to.be.lessThan(before);
+  });
+
+  it('revokes a document for less gas', async function () {
+    await legacy.registerDocument(CERTIFICATE, DOCUMENT_HASH, CERTIFIED_HASH, 0, 0);
+    await current.registerDocument(CERTIFICATE, `0x${DOCUMENT_HASH}`, `0x${CERTIFIED_HASH}`, 0, 0);
+
+    const before = await gasUsed(legacy.revokeDocument(CERTIFICATE, 1));
+    const after = await gasUsed(current.revokeDocument(CERTIFICATE, 1));
+
+    expect(after).to.be.lessThan(before);
+  });
+
+  it('anchors a batch for less gas', async function () {
+    const root = `0x${crypto.randomBytes(32).toString('hex')}`;
+
+    const before = await gasUsed(legacy.anchorBatch(root, 100));
+    const after = await gasUsed(current.anchorBatch(root, 100));
+
+    expect(after).to.be.lessThan(before);
+  });
+
+  it('still verifies the registered hash', async function () {
+    await current.registerDocument(CERTIFICATE, `0x${DOCUMENT_HASH}`, `0x${CERTIFIED_HASH}`, 0, 0);
+
+    const [isValid] = await current.verifyDocument(ethers.id(CERTIFICATE), `0x${DOCUMENT_HASH}`);
+    expect(isValid).to.equal(true);
+  });
+});
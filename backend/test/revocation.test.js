@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const crypto = require('crypto');
+const merkle = require('../merkle');
+
+// Only the issuer of a certificate (or the owner) can revoke it, and a batch
+// revocation stays inside its own batch
+describe('DocumentVerification revocation', function () {
+  const INVALIDATED = 2;
+
+  let contract;
+  let issuerA;
+  let issuerB;
+
+  function randomHash() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  function certificate(certificateNumber) {
+    return { certificateNumber, documentHash: randomHash(), certifiedHash: randomHash(), validFrom: 0, validUntil: 0 };
+  }
+
+  // Anchor the certificates as a batch from `issuer`; returns the root and a
+  // proof per certificate
+  async function anchorBatch(issuer, certificates) {
+    const leaves = certificates.map(c => merkle.hashLeaf(c.certificateNumber, c.documentHash, c.certifiedHash));
+    const layers = merkle.buildTree(leaves);
+    const root = merkle.getRoot(layers);
+
+    await contract.connect(issuer).anchorBatch(root, certificates.length);
+    return { root, proofs: certificates.map((c, i) => merkle.getProof(layers, i)) };
+  }
+
+  function revokeBatchDocument(issuer, root, proof, c) {
+    return contract.connect(issuer).revokeBatchDocument(
+      root,
+      proof,
+      c.certificateNumber,
+      `0x${c.documentHash}`,
+      `0x${c.certifiedHash}`,
+      c.validFrom,
+      c.validUntil,
+      INVALIDATED
+    );
+  }
+
+  beforeEach(async function () {
+    [, issuerA, issuerB] = await ethers.getSigners();
+
+    const factory = await ethers.getContractFactory('DocumentVerification');
+    contract = await factory.deploy('Owner');
+    await contract.addIssuer(issuerA.address, 'Issuer A');
+    await contract.addIssuer(issuerB.address, 'Issuer B');
+  });
+
+  it('does not let another issuer revoke a certificate', async function () {
+    const c = certificate('CERT-00000001-0001');
+    await contract.connect(issuerA).registerDocument(c.certificateNumber, `0x${c.documentHash}`, `0x${c.certifiedHash}`, 0, 0);
+
+    await expect(contract.connect(issuerB).revokeDocument(c.certificateNumber, INVALIDATED))
+      .to.be.revertedWith('Only owner or issuing issuer can revoke');
+
+    await contract.connect(issuerA).revokeDocument(c.certificateNumber, INVALIDATED);
+    const [revoked] = await contract.getRevocation(ethers.id(c.certificateNumber));
+    expect(revoked).to.equal(true);
+  });
+
+  it('does not let another issuer revoke a certificate from a batch', async function () {
+    const certificates = [certificate('CERT-00000002-0001'), certificate('CERT-00000002-0002')];
+    const { root, proofs } = await anchorBatch(issuerA, certificates);
+
+    await expect(revokeBatchDocument(issuerB, root, proofs[0], certificates[0]))
+      .to.be.revertedWith('Only owner or issuing issuer can revoke');
+
+    await revokeBatchDocument(issuerA, root, proofs[0], certificates[0]);
+    const [revoked] = await contract.getBatchRevocation(root, ethers.id(certificates[0].certificateNumber));
+    expect(revoked).to.equal(true);
+  });
+
+  it('keeps a batch revocation inside its batch', async function () {
+    const single = certificate('CERT-00000003-0001');
+    await contract.connect(issuerA).registerDocument(single.certificateNumber, `0x${single.documentHash}`, `0x${single.certifiedHash}`, 0, 0);
+    const batched = certificate('CERT-00000003-0002');
+    const batchA = await anchorBatch(issuerA, [batched, certificate('CERT-00000003-0003')]);
+
+    // Issuer B reuses both certificate numbers in a batch of its own
+    const copies = [certificate(single.certificateNumber), certificate(batched.certificateNumber)];
+    const batchB = await anchorBatch(issuerB, copies);
+    await revokeBatchDocument(issuerB, batchB.root, batchB.proofs[0], copies[0]);
+    await revokeBatchDocument(issuerB, batchB.root, batchB.proofs[1], copies[1]);
+
+    const [singleRevoked] = await contract.getRevocation(ethers.id(single.certificateNumber));
+    const [batchedRevoked] = await contract.getBatchRevocation(batchA.root, ethers.id(batched.certificateNumber));
+    expect(singleRevoked).to.equal(false);
+    expect(batchedRevoked).to.equal(false);
+  });
+
+  it('rejects a batch revocation without a valid proof', async function () {
+    const certificates = [certificate('CERT-00000004-0001'), certificate('CERT-00000004-0002')];
+    const { root } = await anchorBatch(issuerA, certificates);
+
+    await expect(revokeBatchDocument(issuerA, root, [], certificates[0]))
+      .to.be.revertedWith('Certificate is not in the batch');
+  });
+
+  it('lets the owner revoke a batch certificate of any issuer', async function () {
+    const certificates = [certificate('CERT-00000005-0001'), certificate('CERT-00000005-0002')];
+    const { root, proofs } = await anchorBatch(issuerA, certificates);
+    const [owner] = await ethers.getSigners();
+
+    await revokeBatchDocument(owner, root, proofs[1], certificates[1]);
+    await expect(revokeBatchDocument(issuerA, root, proofs[1], certificates[1]))
+      .to.be.revertedWith('Certificate already revoked');
+  });
+});
@@ -0,0 +1,388 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Settled transactions kept in the store for status lookups
+const SETTLED_HISTORY = 500;
+
+// RPC failures worth retrying: the node or the connection, not the transaction
+function isTransientError(error) {
+  return ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(error.code) ||
+    /ECONNREFUSED|ECONNRESET|ETIMEDOUT|socket hang up|rate limit|too many requests|\b429\b|\b50[234]\b/i.test(error.message || '');
+}
+
+function isNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used|nonce.*already/i.test(error.message || '');
+}
+
+function isUnderpricedError(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' || /underpriced/i.test(error.message || '');
+}
+
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sends contract transactions one nonce at a time and follows each until it has
+// enough confirmations. A transaction that sits unmined is re-sent with the same
+// nonce and higher fees; transient RPC errors are retried. Every transaction is
+// saved to a JSON file so a restart resumes the ones still in flight.
+//
+// Record status: QUEUED -> SUBMITTED -> CONFIRMED | FAILED.
+// Emits 'confirmed' and 'failed' with the record.
+class TransactionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = null;
+    this.contract = null;
+    this.signer = null;
+    this.provider = null;
+    this.address = null;
+    this.options = {};
+    this.records = new Map();
+    this.waiters = new Map();
+    this.queue = Promise.resolve();
+    this.nextNonce = null;
+  }
+
+  async initialize(contract, signer, options = {}) {
+    this.contract = contract;
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.address = await signer.getAddress();
+    this.filePath = options.filePath || path.join(__dirname, 'data', 'transactions.json');
+    this.options = {
+      confirmations: 1,
+      pollInterval: 2000,
+      bumpAfter: 60000,
+      bumpPercent: 15,
+      gasHeadroomPercent: 20,
+      maxRetries: 3,
+      maxFeeGwei: null,
+      priorityFeeGwei: null,
+      ...options
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = new Map(data.transactions.map(record => [record.id, record]));
+    }
+
+    this.resume();
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const settled = Array.from(this.records.values())
+      .filter(record => record.status === 'CONFIRMED' || record.status === 'FAILED');
+
+    // Drop the oldest settled records beyond the history limit
+    settled.slice(0, Math.max(settled.length - SETTLED_HISTORY, 0))
+      .forEach(record => this.records.delete(record.id));
+
+    const data = { transactions: Array.from(this.records.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  update(record, changes) {
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  // Pick up transactions left in flight by the previous run
+  resume() {
+    const pending = Array.from(this.records.values())
+      .filter(record => record.status === 'QUEUED' || record.status === 'SUBMITTED');
+
+    if (pending.length === 0) return;
+
+    console.log(`Resuming ${pending.length} pending transactions`);
+
+    for (const record of pending) {
+      if (record.status === 'QUEUED') {
+        this.enqueue(() => this.broadcast(record))
+          .then(() => this.monitor(record))
+          .catch(() => {});
+      } else {
+        this.monitor(record);
+      }
+    }
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  // Queue a contract call; resolves once it has been broadcast (not mined)
+  async submit(method, args, meta = {}) {
+    const record = {
+      id: crypto.randomUUID(),
+      method,
+      args: args.map(arg => typeof arg === 'bigint' ? arg.toString() : arg),
+      meta,
+      status: 'QUEUED',
+      from: this.address,
+      nonce: null,
+      request: null,
+      fees: null,
+      txHash: null,
+      hashes: [],
+      attempts: 0,
+      blockNumber: null,
+      confirmations: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.records.set(record.id, record);
+    this.save();
+
+    await this.enqueue(() => this.broadcast(record));
+    this.monitor(record);
+
+    return { ...record };
+  }
+
+  // Resolves with the confirmed record, rejects with the failure reason
+  waitFor(id) {
+    const record = this.records.get(id);
+
+    if (!record) return Promise.reject(new Error(`Unknown transaction: ${id}`));
+    if (record.status === 'CONFIRMED') return Promise.resolve({ ...record });
+    if (record.status === 'FAILED') return Promise.reject(new Error(record.error));
+
+    return new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(id) || [];
+      waiters.push({ resolve, reject });
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  async send(method, args, meta) {
+    const record = await this.submit(method, args, meta);
+    return this.waitFor(record.id);
+  }
+
+  // Nonce assignment and broadcasting run strictly one at a time
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async allocateNonce() {
+    if (this.nextNonce === null) {
+      const pendingCount = await this.provider.getTransactionCount(this.address, 'pending');
+      const inFlight = Array.from(this.records.values())
+        .filter(record => record.status === 'SUBMITTED' && record.nonce !== null)
+        .map(record => record.nonce + 1);
+      this.nextNonce = Math.max(pendingCount, ...inFlight);
+    }
+
+    return this.nextNonce;
+  }
+
+  async getFees(previous) {
+    const feeData = await this.provider.getFeeData();
+    const bump = value => value * BigInt(100 + this.options.bumpPercent) / 100n;
+    const cap = this.options.maxFeeGwei ? ethers.parseUnits(this.options.maxFeeGwei, 'gwei') : null;
+    const clamp = value => cap !== null && value > cap ? cap : value;
+    const max = (a, b) => a > b ? a : b;
+
+    if (feeData.maxFeePerGas !== null) {
+      let priorityFee = this.options.priorityFeeGwei ?
+        ethers.parseUnits(this.options.priorityFeeGwei, 'gwei') :
+        feeData.maxPriorityFeePerGas;
+      let maxFee = max(feeData.maxFeePerGas, priorityFee);
+
+      // A replacement must outbid the transaction it replaces
+      if (previous) {
+        priorityFee = max(priorityFee, bump(BigInt(previous.maxPriorityFeePerGas)));
+        maxFee = max(maxFee, bump(BigInt(previous.maxFeePerGas)));
+      }
+
+      maxFee = clamp(maxFee);
+      return {
+        maxFeePerGas: maxFee.toString(),
+        maxPriorityFeePerGas: (priorityFee > maxFee ? maxFee : priorityFee).toString()
+      };
+    }
+
+    let gasPrice = feeData.gasPrice;
+    if (previous) gasPrice = max(gasPrice, bump(BigInt(previous.gasPrice)));
+    return { gasPrice: clamp(gasPrice).toString() };
+  }
+
+  // Estimate, assign a nonce and send. Reverts fail immediately; transient
+  // errors are retried with backoff and nonce conflicts resync from the node.
+  async broadcast(record) {
+    while (true) {
+      try {
+        if (!record.request) {
+          const tx = await this.contract[record.method].populateTransaction(...record.args);
+          const gas = await this.contract[record.method].estimateGas(...record.args);
+          const gasLimit = gas * BigInt(100 + this.options.gasHeadroomPercent) / 100n;
+          record.request = { to: tx.to, data: tx.data, gasLimit: gasLimit.toString() };
+        }
+
+        const nonce = await this.allocateNonce();
+        const fees = await this.getFees();
+        const tx = await this.signer.sendTransaction(this.buildTransaction(record.request, nonce, fees));
+
+        this.nextNonce = nonce + 1;
+        this.update(record, {
+          status: 'SUBMITTED',
+          nonce,
+          fees,
+          txHash: tx.hash,
+          hashes: [tx.hash],
+          lastSentAt: Date.now()
+        });
+        console.log(`Transaction ${record.method} sent: ${tx.hash} (nonce ${nonce})`);
+        return;
+      } catch (error) {
+        record.attempts++;
+
+        if (isNonceError(error) && record.attempts <= this.options.maxRetries) {
+          this.nextNonce = null;
+          continue;
+        }
+
+        if (isTransientError(error) && record.attempts <= this.options.maxRetries) {
+          console.warn(`⚠ ${record.method} send failed (${errorMessage(error)}), retrying`);
+          await sleep(this.options.pollInterval * record.attempts);
+          continue;
+        }
+
+        this.settle(record, { status: 'FAILED', error: errorMessage(error) });
+        throw new Error(record.error);
+      }
+    }
+  }
+
+  buildTransaction(request, nonce, fees) {
+    const tx = { to: request.to, data: request.data, gasLimit: BigInt(request.gasLimit), nonce };
+    for (const [key, value] of Object.entries(fees)) tx[key] = BigInt(value);
+    return tx;
+  }
+
+  // Poll until one of the record's hashes has enough confirmations. Re-send with
+  // bumped fees if nothing is mined within bumpAfter; give up if the nonce gets
+  // used by a transaction that isn't ours.
+  async monitor(record) {
+    while (record.status === 'SUBMITTED') {
+      try {
+        const receipt = await this.findReceipt(record);
+
+        if (receipt) {
+          if (receipt.status === 0) {
+            this.settle(record, { status: 'FAILED', txHash: receipt.hash, blockNumber: receipt.blockNumber, error: 'Transaction reverted' });
+            return;
+          }
+
+          const confirmations = await receipt.confirmations();
+          if (confirmations >= this.options.confirmations) {
+            this.settle(record, { status: 'CONFIRMED', txHash: receipt.hash, blockNumber: receipt.blockNumber, confirmations });
+            return;
+          }
+
+          if (confirmations !== record.confirmations || record.blockNumber !== receipt.blockNumber) {
+            this.update(record, { txHash: receipt.hash, blockNumber: receipt.blockNumber, confirmations });
+          }
+        } else {
+          const minedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+
+          if (minedNonce > record.nonce) {
+            // Our nonce is used; check our hashes once more before calling it replaced
+            if (!await this.findReceipt(record)) {
+              this.settle(record, { status: 'FAILED', error: 'Transaction was replaced by another transaction with the same nonce' });
+              return;
+            }
+            continue;
+          }
+
+          if (record.blockNumber !== null) {
+            // Mined block was reorged out; wait for the transaction to be mined again
+            this.update(record, { blockNumber: null, confirmations: 0 });
+          }
+
+          if (Date.now() - record.lastSentAt >= this.options.bumpAfter) {
+            await this.replace(record);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠ Monitoring ${record.txHash} failed: ${errorMessage(error)}`);
+      }
+
+      await sleep(this.options.pollInterval);
+    }
+  }
+
+  async findReceipt(record) {
+    for (const hash of record.hashes.slice().reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  // Re-send the same nonce with higher fees (also re-broadcasts a dropped transaction)
+  async replace(record) {
+    const fees = await this.getFees(record.fees);
+
+    try {
+      const tx = await this.signer.sendTransaction(this.buildTransaction(record.request, record.nonce, fees));
+      this.update(record, {
+        fees,
+        txHash: tx.hash,
+        hashes: record.hashes.concat(tx.hash),
+        lastSentAt: Date.now()
+      });
+      console.log(`Transaction ${record.method} re-sent with higher fees: ${tx.hash} (nonce ${record.nonce})`);
+    } catch (error) {
+      if (isNonceError(error)) return; // mined meanwhile, picked up on the next poll
+
+      // Fees already at the cap: keep waiting on the current transaction
+      if (isUnderpricedError(error)) {
+        this.update(record, { lastSentAt: Date.now() });
+        return;
+      }
+
+      throw error;
+    }
+  }
+
+  settle(record, changes) {
+    this.update(record, changes);
+
+    const waiters = this.waiters.get(record.id) || [];
+    this.waiters.delete(record.id);
+
+    if (record.status === 'CONFIRMED') {
+      waiters.forEach(waiter => waiter.resolve({ ...record }));
+      this.emit('confirmed', record);
+    } else {
+      console.error(`Transaction ${record.method} failed: ${record.error}`);
+      waiters.forEach(waiter => waiter.reject(new Error(record.error)));
+      this.emit('failed', record);
+    }
+  }
+
+  getStatus() {
+    const counts = { QUEUED: 0, SUBMITTED: 0, CONFIRMED: 0, FAILED: 0 };
+    this.records.forEach(record => counts[record.status]++);
+    return { signer: this.address, nextNonce: this.nextNonce, ...counts };
+  }
+}
+
+module.exports = TransactionManager;